@@ -0,0 +1,92 @@
+/**
+ * Firing calendar for the worksheet.
+ * The calendar config lists, per firing type, the weekdays (0 = Sunday) and
+ * any extra dates on which that kiln runs, together with its capacity in
+ * cubic inches:
+ *
+ *     "firingCalendar": {
+ *         "Reduction ∆ 10": { "weekdays": [4], "dates": ["2026-12-22"], "capacity": 20000 }
+ *     }
+ *
+ * Firing types without an entry are not scheduled and accept any due date.
+ * Dates are YYYY-MM-DD strings throughout and weekdays are computed in UTC so
+ * the browser and the backend agree regardless of time zone.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Formats a date as YYYY-MM-DD.
+ * @param {Date} date - Date to format.
+ * @returns {string} - ISO date string.
+ */
+export function toISODate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Returns the earliest due date a customer may choose.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date.
+ * @returns {string} - Date as YYYY-MM-DD.
+ */
+export function getEarliestDueDate(config, now = new Date()) {
+    return toISODate(new Date(now.getTime() + config.minDaysAhead * MS_PER_DAY));
+}
+
+/**
+ * Returns the calendar entry for a firing type.
+ * @param {string} firingType - Firing type name.
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {Object|null} - Calendar entry, or null if the type is not scheduled.
+ */
+export function getFiringSchedule(firingType, config) {
+    return (config.firingCalendar && config.firingCalendar[firingType]) || null;
+}
+
+/**
+ * Lists the scheduled firing dates for a firing type within a date range.
+ * @param {string} firingType - Firing type name.
+ * @param {string} fromDate - First date to consider (YYYY-MM-DD).
+ * @param {number} days - Number of days to look ahead from fromDate.
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {Array<string>} - Sorted firing dates.
+ */
+export function listFiringDates(firingType, fromDate, days, config) {
+    const schedule = getFiringSchedule(firingType, config);
+    if (!schedule) return [];
+
+    const start = new Date(`${fromDate}T00:00:00Z`);
+    const end = toISODate(new Date(start.getTime() + days * MS_PER_DAY));
+    const dates = new Set((schedule.dates || []).filter(date => date >= fromDate && date <= end));
+
+    for (let offset = 0; offset <= days; offset++) {
+        const day = new Date(start.getTime() + offset * MS_PER_DAY);
+        if ((schedule.weekdays || []).includes(day.getUTCDay())) {
+            dates.add(toISODate(day));
+        }
+    }
+    return Array.from(dates).sort();
+}
+
+/**
+ * Lists the firings of a type that still have room.
+ * @param {string} firingType - Firing type name.
+ * @param {Map<string, number>} reserved - Reserved cubic inches by firing date.
+ * @param {string} fromDate - First date to consider (YYYY-MM-DD).
+ * @param {number} days - Number of days to look ahead from fromDate.
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {Array<Object>} - { date, capacity, remaining } for each firing with remaining capacity.
+ */
+export function getAvailableFirings(firingType, reserved, fromDate, days, config) {
+    const schedule = getFiringSchedule(firingType, config);
+    if (!schedule) return [];
+
+    return listFiringDates(firingType, fromDate, days, config)
+        .map(date => ({
+            date,
+            capacity: schedule.capacity,
+            remaining: schedule.capacity - (reserved.get(date) || 0)
+        }))
+        .filter(({ remaining }) => remaining > 0);
+}
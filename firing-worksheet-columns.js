@@ -0,0 +1,226 @@
+/**
+ * Column schema for the worksheet table.
+ * The component builds its rows, validation and submit payload from this
+ * schema, and the backend reads it for labels and price adjustments.
+ *
+ * Every column has a `name`, a `label` and a `type`:
+ *   - "firingType", "dueDate", "photos", "preview" and "delete" are built-in controls
+ *   - "computed" columns (unitCost, volume, price) show values from the pricing engine
+ *   - "number", "text", "textarea", "select" and "checkbox" are input fields
+ *
+ * Input columns may declare `default`, `required`, `min`, `max`, `integer`,
+ * `precision` (decimal places allowed, e.g. 1 for tenths), `maxLength` and,
+ * for selects, `options` (strings or { value, label }).
+ * A `measure` ("length", "volume" or "rate") marks values the component
+ * converts to the customer's unit, see firing-worksheet-units.js.
+ * A schema from config.json or the component's `columns` attribute lists
+ * columns in display order; entries naming a built-in column only need the
+ * properties they change, e.g. { "name": "height", "label": "Height (in)" }.
+ *
+ * Columns that are not built in are custom fields, stored under item.fields.
+ * A custom column with `affectsPrice` may set `priceAdjustments`, a map from
+ * field value to a percentage added to the piece price, such as
+ * { "true": -10 } on a "member" checkbox. Adjustments are only taken from
+ * config.json, so the backend always charges what the customer was shown.
+ */
+
+import { SHAPES } from './firing-worksheet-shapes.js';
+
+export const BUILT_IN_COLUMNS = [
+    'firingType', 'shape', 'unitCost', 'height', 'width', 'length', 'volume', 'quantity',
+    'price', 'dueDate', 'specialDirections', 'photoUpload', 'preview', 'delete'
+];
+
+const REQUIRED_COLUMNS = ['firingType', 'height', 'width', 'length', 'quantity', 'price'];
+const INPUT_TYPES = ['number', 'text', 'textarea', 'select', 'checkbox'];
+
+/**
+ * Returns the default column schema.
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {Array<Object>} - Column definitions in display order.
+ */
+export function getDefaultColumns(config) {
+    const dimension = label => ({
+        type: 'number', label, default: 1, required: true, precision: config.dimensionPrecision,
+        min: 1, max: config.maxDimension, measure: 'length', affectsPrice: true
+    });
+
+    return [
+        { name: 'firingType', type: 'firingType', label: 'Firing Type', affectsPrice: true },
+        {
+            name: 'shape', type: 'select', label: 'Shape', required: true, affectsPrice: true,
+            options: Object.entries(SHAPES).map(([value, { label }]) => ({ value, label }))
+        },
+        { name: 'unitCost', type: 'computed', label: 'Unit Cost', measure: 'rate' },
+        { name: 'height', ...dimension('Height') },
+        { name: 'width', ...dimension('Width') },
+        { name: 'length', ...dimension('Length') },
+        { name: 'volume', type: 'computed', label: 'Volume', measure: 'volume' },
+        {
+            name: 'quantity', type: 'number', label: 'Quantity', default: 1, required: true,
+            integer: true, min: 1, max: config.maxQuantity, affectsPrice: true
+        },
+        { name: 'price', type: 'computed', label: 'Price' },
+        { name: 'dueDate', type: 'dueDate', label: 'Due Date', affectsPrice: true },
+        { name: 'specialDirections', type: 'textarea', label: 'Special Directions', maxLength: 1000 },
+        { name: 'photoUpload', type: 'photos', label: 'Photo Upload' },
+        { name: 'preview', type: 'preview', label: 'Preview' },
+        { name: 'delete', type: 'delete', label: '' } // Delete button column
+    ];
+}
+
+/**
+ * Resolves a column schema against the built-in defaults.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Array<Object>} [columns] - Schema to resolve; defaults to config.columns.
+ * @returns {Array<Object>} - Complete column definitions, or the defaults if the
+ *     schema is missing or lacks a column pricing depends on.
+ */
+export function resolveColumns(config, columns = config.columns) {
+    const defaults = getDefaultColumns(config);
+    if (!Array.isArray(columns) || !columns.length) return defaults;
+
+    const resolved = columns.map(column => {
+        const builtIn = defaults.find(({ name }) => name === column.name);
+        return builtIn
+            ? { ...builtIn, ...column, type: builtIn.type }
+            : { type: 'text', label: column.name, ...column };
+    });
+
+    const missing = REQUIRED_COLUMNS.filter(name => !resolved.some(column => column.name === name));
+    if (missing.length) {
+        console.error(`Column schema is missing ${missing.join(', ')}, using default columns`);
+        return defaults;
+    }
+    return resolved;
+}
+
+/**
+ * @param {Object} column - Column definition.
+ * @returns {boolean} - Whether the column is a custom field rather than a built-in one.
+ */
+export function isCustomColumn(column) {
+    return !BUILT_IN_COLUMNS.includes(column.name);
+}
+
+/**
+ * @param {Object} column - Column definition.
+ * @returns {boolean} - Whether the column is an editable input field.
+ */
+export function isInputColumn(column) {
+    return INPUT_TYPES.includes(column.type);
+}
+
+/**
+ * Normalizes a select column's options.
+ * @param {Object} column - Column definition.
+ * @returns {Array<Object>} - Options as { value, label }.
+ */
+export function getColumnOptions(column) {
+    return (column.options || []).map(option => (
+        typeof option === 'object' ? option : { value: option, label: option }
+    ));
+}
+
+/**
+ * Returns the value a new row starts with for a column.
+ * @param {Object} column - Column definition.
+ * @returns {*} - Default value.
+ */
+export function getDefaultValue(column) {
+    if ('default' in column) return column.default;
+    if (column.type === 'checkbox') return false;
+    if (column.type === 'select') {
+        const [first] = getColumnOptions(column);
+        return first ? first.value : null;
+    }
+    return null;
+}
+
+/**
+ * Converts a raw form value into the column's value type.
+ * @param {Object} column - Column definition.
+ * @param {*} raw - Input value (string, or boolean for checkboxes).
+ * @returns {*} - Parsed value; empty input becomes null.
+ */
+export function parseFieldValue(column, raw) {
+    if (column.type === 'checkbox') return Boolean(raw);
+    if (raw === '' || raw === null || raw === undefined) return null;
+    if (column.type === 'number') return Number(raw);
+    return raw;
+}
+
+/**
+ * Returns the step of a number column's input.
+ * @param {Object} column - Column definition.
+ * @returns {string} - Input step, e.g. "1", "0.1" or "any".
+ */
+export function getColumnStep(column) {
+    if (column.integer) return '1';
+    if (column.precision !== undefined) return String(10 ** -column.precision);
+    return 'any';
+}
+
+/**
+ * @param {number} value - Number to check.
+ * @param {number} precision - Decimal places allowed.
+ * @returns {boolean} - Whether the value has no more decimal places than allowed.
+ */
+function hasPrecision(value, precision) {
+    const scaled = value * 10 ** precision;
+    return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+}
+
+/**
+ * Validates a value against a column's rules.
+ * @param {Object} column - Column definition.
+ * @param {*} value - Parsed value.
+ * @returns {string|null} - Error message, or null if the value is valid.
+ */
+export function validateFieldValue(column, value) {
+    if (value === null || value === undefined || value === '') {
+        return column.required ? 'Field required' : null;
+    }
+
+    switch (column.type) {
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) return 'Must be a number';
+            if (column.integer && !Number.isInteger(value)) return 'Must be a whole number';
+            if (column.precision !== undefined && !hasPrecision(value, column.precision)) {
+                if (!column.precision) return 'Must be a whole number';
+                return `Up to ${column.precision} decimal ${column.precision === 1 ? 'place' : 'places'}`;
+            }
+            if (value <= 0 && column.min > 0) return 'Must be positive';
+            if (column.min !== undefined && value < column.min) return `Min ${column.min}`;
+            if (column.max !== undefined && value > column.max) return `Max ${column.max}`;
+            return null;
+        case 'text':
+        case 'textarea':
+            if (typeof value !== 'string') return 'Must be text';
+            if (column.maxLength && value.length > column.maxLength) {
+                return `Max ${column.maxLength} characters`;
+            }
+            return null;
+        case 'select':
+            return getColumnOptions(column).some(option => option.value === value) ? null : 'Invalid choice';
+        case 'checkbox':
+            return typeof value === 'boolean' ? null : 'Must be yes or no';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Sums the price adjustments a line's custom fields trigger.
+ * @param {Object} item - Line with custom values under item.fields.
+ * @param {Array<Object>} columns - Resolved column schema.
+ * @returns {number} - Total adjustment as a percentage.
+ */
+export function getPriceAdjustment(item, columns) {
+    return columns
+        .filter(column => column.affectsPrice && column.priceAdjustments && isCustomColumn(column))
+        .reduce((total, column) => {
+            const value = item.fields ? item.fields[column.name] : undefined;
+            return total + (column.priceAdjustments[String(value)] || 0);
+        }, 0);
+}
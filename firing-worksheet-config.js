@@ -0,0 +1,151 @@
+/**
+ * Shared configuration for the firing worksheet.
+ * Both the worksheet component and the backend web module read their firing
+ * options and rush rules from here, so the price shown to the customer and the
+ * price charged at checkout are always computed from the same values.
+ */
+
+export const DEFAULT_CONFIG = {
+    // Prices are in this currency and displayed for this locale
+    locale: "en-US",
+    currency: "USD",
+    firingOptions: {
+        "Bisque": 0.04,
+        "Slipcast Bisque": 0.06,
+        "Oxidation ∆ 6": 0.04,
+        "Reduction ∆ 10": 0.04
+    },
+    rushJobDays: 3,
+    rushJobPremium: 25,
+    // Lead-time bands, e.g. { maxDays: 1, premium: 100, label: "Next day", firingTypes: ["Bisque"] }.
+    // When config.json has no rushSchedule, a single band is built from rushJobDays/rushJobPremium.
+    rushSchedule: null,
+    minDaysAhead: 1,
+    // Scheduled firings per firing type, see firing-worksheet-calendar.js.
+    firingCalendar: {},
+    calendarDaysAhead: 60,
+    // How long a worksheet in the cart holds its room in a firing before it is
+    // paid for, see firing-worksheet-reservations.js
+    reservationHoldHours: 24,
+    maxPhotosPerLine: 4,
+    maxDimension: 55,
+    // Decimal places dimensions may be entered with, in whichever unit; 0 for whole numbers
+    dimensionPrecision: 0,
+    maxQuantity: 120,
+    // Most rows a spreadsheet import may add, see firing-worksheet-spreadsheet.js
+    maxImportRows: 200,
+    // Unit dimensions are entered in until the customer switches, "in" or "cm".
+    // Limits and rates above are always in inches.
+    unit: "in",
+    // How shaped pieces are billed, "boundingBox" or "shape", see firing-worksheet-shapes.js
+    shapeBilling: "boundingBox",
+    // Shelf gap in inches a flat tile takes up when billing by shape
+    tileShelfHeight: 2,
+    // Worksheet charges, see priceWorksheet in firing-worksheet-pricing.js, e.g.
+    // fees: [{ label: "Kiln wash", amount: 2, per: "piece" }],
+    // memberDiscount: { label: "Member discount", percent: 10 }
+    // Promo codes are kept out of this shared config, see firing-worksheet-promotions.js.
+    fees: [],
+    memberDiscount: null,
+    // Estimated sales tax in percent; Wix calculates the actual tax at checkout
+    taxRate: 0,
+    taxLabel: "Estimated sales tax",
+    // Worksheet column schema, see firing-worksheet-columns.js. null uses the default columns.
+    columns: null,
+    // Abuse protection for the public web methods, see firing-worksheet-sessions.js.
+    // Each action allows `limit` calls per `windowSeconds`, per member or, for
+    // visitors who aren't logged in, per visitor ID.
+    rateLimits: {
+        session: { limit: 30, windowSeconds: 60 },
+        submit: { limit: 10, windowSeconds: 60 },
+        upload: { limit: 20, windowSeconds: 60 },
+        promo: { limit: 10, windowSeconds: 60 }
+    },
+    sessionHours: 24,
+    // Photo uploads allowed per member or visitor every `hours`, and in all by
+    // visitors who aren't logged in (visitorsTotal)
+    uploadQuota: {
+        files: 40,
+        megabytes: 50,
+        hours: 24,
+        visitorsTotal: { files: 400, megabytes: 500 }
+    },
+    // How far back the staff dashboard looks for paid orders
+    dashboardDaysBack: 60,
+    // Customer notifications on status changes, see firing-worksheet-notifications.js.
+    // emailTemplateId is a Wix triggered email showing the `subject` and `body`
+    // variables; templates override the messages per status, e.g.
+    // { ready: { subject: "...", body: "..." } }
+    notifications: {
+        emailTemplateId: null,
+        templates: {}
+    }
+};
+
+// Settings groups merged key by key, so config.json can override one rate
+// limit or notification setting and keep the rest. Other objects, such as
+// firingOptions or firingCalendar, are lists a studio replaces as a whole.
+const MERGED_SETTINGS = ['rateLimits', 'uploadQuota', 'notifications'];
+
+let cachedConfig = null;
+
+/**
+ * @param {*} value - Any value.
+ * @returns {boolean} - Whether the value is a plain object rather than an array, null or a primitive.
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merges config.json values over the defaults.
+ * Any value that is set replaces its default, including 0, false and "".
+ * @param {Object} defaults - Default configuration.
+ * @param {Object} overrides - Values from config.json.
+ * @returns {Object} - Merged configuration; keys the defaults don't list are ignored.
+ */
+export function mergeConfig(defaults, overrides) {
+    const merged = { ...defaults };
+    Object.keys(defaults).forEach(key => {
+        const value = overrides[key];
+        if (value === undefined) return;
+        if (!MERGED_SETTINGS.includes(key) || !isPlainObject(value)) {
+            merged[key] = value;
+            return;
+        }
+        merged[key] = { ...defaults[key] };
+        Object.keys(value).forEach(name => {
+            if (value[name] === undefined) return;
+            merged[key][name] = isPlainObject(defaults[key][name]) && isPlainObject(value[name])
+                ? { ...defaults[key][name], ...value[name] }
+                : value[name];
+        });
+    });
+    return merged;
+}
+
+/**
+ * Returns the active configuration, merging config.json over the defaults.
+ * @returns {Object} - Firing worksheet configuration.
+ */
+export function getConfig() {
+    if (cachedConfig) return cachedConfig;
+
+    cachedConfig = { ...DEFAULT_CONFIG };
+    try {
+        // The Wix bundler provides require; plain Node (the tests) runs on the defaults
+        const config = typeof require === 'function' ? require('../config.json') : {};
+        cachedConfig = mergeConfig(DEFAULT_CONFIG, config);
+    } catch (error) {
+        console.error('Failed to load config, using defaults:', error);
+    }
+
+    if (!cachedConfig.rushSchedule) {
+        cachedConfig.rushSchedule = [{
+            maxDays: cachedConfig.rushJobDays,
+            premium: cachedConfig.rushJobPremium,
+            label: "Rush"
+        }];
+    }
+    return cachedConfig;
+}
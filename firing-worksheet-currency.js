@@ -0,0 +1,47 @@
+/**
+ * Currency helpers for the worksheet.
+ * Amounts are plain numbers everywhere; formatting happens only for display,
+ * so nothing ever parses a formatted price back into a number. The currency
+ * (an ISO 4217 code) decides how many decimals prices are rounded to, and
+ * the locale only how they are shown.
+ */
+
+/**
+ * Returns the number of decimals a currency is priced in.
+ * @param {string} [currency] - ISO 4217 currency code; defaults to two decimals.
+ * @returns {number} - Fraction digits, e.g. 2 for USD and 0 for JPY.
+ */
+export function getCurrencyDigits(currency) {
+    if (!currency) return 2;
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency })
+            .resolvedOptions().maximumFractionDigits;
+    } catch {
+        return 2;
+    }
+}
+
+/**
+ * Creates a formatter for prices in the worksheet's locale and currency.
+ * @param {string} locale - BCP 47 locale, e.g. "en-US" or "de-DE".
+ * @param {string} currency - ISO 4217 currency code.
+ * @param {number} [maximumFractionDigits] - Extra precision, e.g. for per-volume rates.
+ * @returns {Intl.NumberFormat} - Currency formatter.
+ */
+export function createCurrencyFormatter(locale, currency, maximumFractionDigits) {
+    const options = { style: 'currency', currency };
+    if (maximumFractionDigits !== undefined) {
+        options.maximumFractionDigits = Math.max(maximumFractionDigits, getCurrencyDigits(currency));
+    }
+    return new Intl.NumberFormat(locale, options);
+}
+
+/**
+ * Formats an amount as the plain decimal string the Wix cart expects.
+ * @param {number} amount - Amount in the currency's major unit.
+ * @param {string} currency - ISO 4217 currency code.
+ * @returns {string} - e.g. "12.50" for USD or "1250" for JPY.
+ */
+export function toPriceString(amount, currency) {
+    return amount.toFixed(getCurrencyDigits(currency));
+}
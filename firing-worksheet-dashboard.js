@@ -0,0 +1,491 @@
+import { getConfig } from './firing-worksheet-config.js';
+import { LINE_STATUSES, describePiece, getStatusLabel } from './firing-worksheet-intake.js';
+import { toImageSrc } from './firing-worksheet-images.js';
+import { renderTagSheet } from './firing-worksheet-tags.js';
+import { toISODate } from './firing-worksheet-calendar.js';
+import { UNITS, fromCanonicalVolume, getUnit } from './firing-worksheet-units.js';
+
+// Staff dashboard for paid firing lines. Like the worksheet, it talks to the
+// host page only through attributes and events:
+//   - `firings` takes the result of listFiringLines (firing-worksheet-staff-web.js)
+//   - `updateLineStatus` fires with { key, status, note } when staff change a line's
+//     status; the host calls setFiringLineStatus and passes its result, or
+//     { key, error }, to `line-status`. Staff are asked for a note when they flag a
+//     problem, which goes to the customer with the notification
+//   - `unit` shows volumes in "in" or "cm"
+// Staff print pickup tags per order, or for every line shown, and scan a
+// tag's barcode into the scan box to find its line.
+class CeramicsFiringDashboard extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: "open" });
+
+        this.config = getConfig();
+        this.unit = this.config.unit;
+
+        // Firings from listFiringLines, soonest first, each with its lines
+        this.firings = [];
+        this.statusFilter = '';
+        // Key of the line whose tag was last scanned, highlighted until the next scan
+        this.scannedKey = null;
+    }
+
+    connectedCallback() {
+        const template = document.createElement('template');
+        template.innerHTML = `
+            <style>
+                :host {
+                    font-family: Arial, sans-serif;
+                    display: block;
+                    padding: 20px;
+                    background-color: white;
+                    border-radius: 10px;
+                }
+
+                #toolbar {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    margin-bottom: 20px;
+                }
+
+                #dashboard-message {
+                    color: #dc3545;
+                    margin-bottom: 20px;
+                }
+
+                #dashboard-message:empty {
+                    display: none;
+                }
+
+                .firing {
+                    margin-bottom: 30px;
+                }
+
+                .firing.past h3 {
+                    color: #6c757d;
+                }
+
+                .firing-volume {
+                    font-weight: normal;
+                    font-size: 14px;
+                    margin-left: 10px;
+                }
+
+                .firing-volume.full {
+                    color: #dc3545;
+                }
+
+                table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    background-color: white;
+                }
+
+                th {
+                    padding: 12px;
+                    background-color: #343a40;
+                    color: white;
+                    font-weight: bold;
+                    text-align: left;
+                }
+
+                td {
+                    padding: 12px;
+                    text-align: left;
+                    font-size: 14px;
+                    color: #666;
+                    vertical-align: top;
+                }
+
+                tr:nth-child(even) {
+                    background-color: #fafafa;
+                }
+
+                tr.saving {
+                    opacity: 0.6;
+                }
+
+                tr.scanned {
+                    outline: 2px solid #007bff;
+                }
+
+                button {
+                    padding: 8px 12px;
+                    border: none;
+                    border-radius: 4px;
+                    background-color: #007bff;
+                    color: white;
+                    font-size: 14px;
+                    cursor: pointer;
+                }
+
+                button:hover {
+                    background-color: #0056b3;
+                }
+
+                button.print-tags {
+                    display: block;
+                    margin-top: 6px;
+                    padding: 4px 8px;
+                    font-size: 12px;
+                }
+
+                #scan-input {
+                    padding: 8px;
+                    border: 1px solid #e0e0e0;
+                    border-radius: 4px;
+                    font-size: 14px;
+                }
+
+                select {
+                    padding: 8px;
+                    border: 1px solid #e0e0e0;
+                    border-radius: 4px;
+                    font-size: 14px;
+                    background-color: #f8f9fa;
+                }
+
+                .status-note {
+                    margin-top: 6px;
+                    font-size: 12px;
+                    color: #dc3545;
+                }
+
+                .photos {
+                    display: flex;
+                    gap: 4px;
+                    flex-wrap: wrap;
+                }
+
+                .photos img {
+                    width: 60px;
+                    height: 60px;
+                    object-fit: cover;
+                    border: 1px solid #dee2e6;
+                    border-radius: 4px;
+                }
+
+                .empty {
+                    color: #6c757d;
+                }
+            </style>
+
+            <div id="toolbar">
+                <label>Status
+                    <select id="status-filter"></select>
+                </label>
+                <button id="print-visible-button">Print Tags</button>
+                <input type="text" id="scan-input" placeholder="Scan tag" autocomplete="off">
+            </div>
+            <div id="dashboard-message" role="alert"></div>
+            <div id="firings"></div>
+            `;
+
+        this.shadowRoot.appendChild(template.content.cloneNode(true));
+
+        this.firingsContainer = this.shadowRoot.getElementById('firings');
+        const statusFilter = this.shadowRoot.getElementById('status-filter');
+        [{ value: '', label: 'All statuses' }, ...LINE_STATUSES].forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.text = label;
+            statusFilter.appendChild(option);
+        });
+        statusFilter.addEventListener('change', () => {
+            this.statusFilter = statusFilter.value;
+            this.render();
+        });
+        this.firingsContainer.addEventListener('change', (event) => this.handleStatusChange(event));
+        this.firingsContainer.addEventListener('click', (event) => {
+            const button = event.target.closest('.print-tags');
+            if (!button) return;
+            const orderId = button.dataset.orderId;
+            this.printTags(this.getLines().filter(line => line.orderId === orderId), `Tags for order #${button.dataset.orderNumber}`);
+        });
+        this.shadowRoot.getElementById('print-visible-button').addEventListener('click', () => {
+            this.printTags(this.getLines().filter(line => this.isVisible(line)), 'Pickup tags');
+        });
+        // Barcode scanners type the tag's code and press Enter
+        const scanInput = this.shadowRoot.getElementById('scan-input');
+        scanInput.addEventListener('keydown', (event) => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            this.openScannedLine(scanInput.value);
+            scanInput.value = '';
+        });
+
+        this.render();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'firings') {
+            this.setFirings(newValue);
+            return;
+        }
+        if (name === 'line-status') {
+            this.setLineStatus(newValue);
+            return;
+        }
+        if (name === 'unit') {
+            if (newValue in UNITS) {
+                this.unit = newValue;
+                this.render();
+            }
+        }
+    }
+
+    static get observedAttributes() {
+        return ["firings", "line-status", "unit"];
+    }
+
+    setFirings(value) {
+        try {
+            this.firings = value ? JSON.parse(value) : [];
+        } catch (error) {
+            console.error('Invalid firings, ignoring:', error);
+            return;
+        }
+        this.render();
+    }
+
+    setLineStatus(value) {
+        let update;
+        try {
+            update = value ? JSON.parse(value) : null;
+        } catch (error) {
+            console.error('Invalid line status, ignoring:', error);
+            return;
+        }
+        if (!update) return;
+
+        const line = this.findLine(update.key);
+        if (!line) return;
+
+        const message = this.shadowRoot.getElementById('dashboard-message');
+        if (update.error) {
+            message.textContent = `Could not update order ${line.orderNumber}: ${update.error}`;
+        } else {
+            line.status = update.status;
+            line.statusNote = update.note || '';
+            line.statusUpdatedAt = update.updatedAt;
+            const failed = (update.notifications || []).filter(({ result }) => result === 'failed');
+            message.textContent = failed.length
+                ? `Order ${line.orderNumber} updated, but the customer could not be notified`
+                : '';
+        }
+        line.saving = false;
+        this.render();
+    }
+
+    findLine(key) {
+        return this.getLines().find(line => line.key === key) || null;
+    }
+
+    getLines() {
+        return this.firings.flatMap(firing => firing.lines);
+    }
+
+    isVisible(line) {
+        return !this.statusFilter || line.status === this.statusFilter;
+    }
+
+    printTags(lines, title) {
+        const message = this.shadowRoot.getElementById('dashboard-message');
+        if (!lines.length) {
+            message.textContent = 'No firing lines to print tags for';
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([renderTagSheet(lines, { title })], { type: 'text/html' }));
+        const tab = window.open(url, '_blank');
+        message.textContent = tab ? '' : 'Allow pop-ups for this site to print tags';
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    openScannedLine(value) {
+        const tagCode = value.trim();
+        if (!tagCode) return;
+
+        const message = this.shadowRoot.getElementById('dashboard-message');
+        const line = this.getLines().find(line => line.tagCode === tagCode);
+        if (!line) {
+            message.textContent = `No firing line matches tag ${tagCode}`;
+            return;
+        }
+
+        // Show the line even if the status filter would hide it
+        if (!this.isVisible(line)) {
+            this.statusFilter = '';
+            this.shadowRoot.getElementById('status-filter').value = '';
+        }
+        message.textContent = '';
+        this.scannedKey = line.key;
+        this.render();
+
+        const row = Array.from(this.firingsContainer.querySelectorAll('tr'))
+            .find(row => row.dataset.key === line.key);
+        row.scrollIntoView({ block: 'center' });
+        row.querySelector('.line-status').focus();
+    }
+
+    handleStatusChange(event) {
+        const select = event.target;
+        if (!select.classList.contains('line-status')) return;
+
+        const line = this.findLine(select.closest('tr').dataset.key);
+        if (!line) return;
+
+        let note = '';
+        if (select.value === 'problem') {
+            note = prompt(`What is the problem with order ${line.orderNumber}? The customer will see this note.`, line.statusNote || '');
+            if (note === null) {
+                select.value = line.status;
+                return;
+            }
+        }
+
+        // The line keeps its status until the backend confirms the new one
+        line.saving = true;
+        select.disabled = true;
+        select.closest('tr').classList.add('saving');
+        this.dispatchEvent(new CustomEvent('updateLineStatus', {
+            detail: { key: line.key, status: select.value, note: note.trim() }
+        }));
+    }
+
+    // Rendering
+
+    formatVolume(volume) {
+        return `${Math.round(fromCanonicalVolume(volume, this.unit)).toLocaleString()} ${getUnit(this.unit).volumeLabel}`;
+    }
+
+    render() {
+        if (!this.firingsContainer) return;
+
+        this.firingsContainer.innerHTML = '';
+        const today = toISODate(new Date());
+        const firings = this.firings
+            .map(firing => ({
+                ...firing,
+                visibleLines: firing.lines.filter(line => this.isVisible(line))
+            }))
+            .filter(firing => firing.visibleLines.length);
+
+        if (!firings.length) {
+            const empty = document.createElement('p');
+            empty.className = 'empty';
+            empty.textContent = 'No firing lines to show';
+            this.firingsContainer.appendChild(empty);
+            return;
+        }
+
+        firings.forEach(firing => {
+            const section = document.createElement('section');
+            section.className = 'firing';
+            if (firing.dueDate && firing.dueDate < today) section.classList.add('past');
+            section.appendChild(this.renderFiringHeader(firing));
+            section.appendChild(this.renderFiringTable(firing.visibleLines));
+            this.firingsContainer.appendChild(section);
+        });
+    }
+
+    renderFiringHeader(firing) {
+        const heading = document.createElement('h3');
+        heading.textContent = `${firing.firingType} — ${firing.dueDate || 'No due date'}`;
+
+        // Total volume is for the whole firing, whatever the status filter shows
+        const volume = document.createElement('span');
+        volume.className = 'firing-volume';
+        if (firing.capacity) {
+            const percent = Math.round(firing.volume / firing.capacity * 100);
+            volume.textContent = `${this.formatVolume(firing.volume)} of ${this.formatVolume(firing.capacity)} (${percent}%)`;
+            volume.classList.toggle('full', firing.volume > firing.capacity);
+        } else {
+            volume.textContent = this.formatVolume(firing.volume);
+        }
+        heading.appendChild(volume);
+        return heading;
+    }
+
+    renderFiringTable(lines) {
+        const table = document.createElement('table');
+        const headerRow = table.createTHead().insertRow();
+        ['Order', 'Customer', 'Piece', 'Quantity', 'Volume', 'Special Directions', 'Photos', 'Status'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        lines.forEach(line => body.appendChild(this.renderLine(line)));
+        return table;
+    }
+
+    renderLine(line) {
+        const row = document.createElement('tr');
+        row.dataset.key = line.key;
+        if (line.saving) row.classList.add('saving');
+        if (line.key === this.scannedKey) row.classList.add('scanned');
+
+        const orderCell = row.insertCell();
+        orderCell.textContent = `#${line.orderNumber}`;
+        const printButton = document.createElement('button');
+        printButton.className = 'print-tags';
+        printButton.textContent = 'Tags';
+        printButton.title = 'Print pickup tags for this order';
+        printButton.dataset.orderId = line.orderId;
+        printButton.dataset.orderNumber = line.orderNumber;
+        orderCell.appendChild(printButton);
+
+        [
+            line.customer,
+            describePiece(line),
+            String(line.quantity),
+            this.formatVolume(line.volume * line.quantity),
+            line.specialDirections
+        ].forEach(text => {
+            row.insertCell().textContent = text;
+        });
+
+        const photosCell = row.insertCell();
+        const photos = document.createElement('div');
+        photos.className = 'photos';
+        line.photos.forEach(url => {
+            const link = document.createElement('a');
+            link.href = toImageSrc(url);
+            link.target = '_blank';
+            const img = document.createElement('img');
+            img.src = toImageSrc(url);
+            img.alt = `Order ${line.orderNumber} photo`;
+            link.appendChild(img);
+            photos.appendChild(link);
+        });
+        photosCell.appendChild(photos);
+
+        const statusCell = row.insertCell();
+        const select = document.createElement('select');
+        select.className = 'line-status';
+        LINE_STATUSES.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.text = label;
+            select.appendChild(option);
+        });
+        select.value = line.status;
+        select.disabled = Boolean(line.saving);
+        select.title = line.statusUpdatedAt
+            ? `${getStatusLabel(line.status)} since ${new Date(line.statusUpdatedAt).toLocaleString()}`
+            : '';
+        statusCell.appendChild(select);
+        if (line.status === 'problem' && line.statusNote) {
+            const note = document.createElement('div');
+            note.className = 'status-note';
+            note.textContent = line.statusNote;
+            statusCell.appendChild(note);
+        }
+        return row;
+    }
+}
+
+customElements.define('ceramics-firing-dashboard', CeramicsFiringDashboard);
@@ -0,0 +1,94 @@
+/**
+ * Order history for logged-in members.
+ * Every worksheet a member adds to the cart is kept in the FiringWorksheets
+ * collection with the prices it was charged and the media URLs of its
+ * photos, so the member can look back at it or load it again as a new draft.
+ * Submitting the same worksheet to the same cart again replaces its record,
+ * just as it replaces the worksheet's lines in the cart; once that cart is
+ * checked out, its record stays as it was.
+ *
+ * Lines keep the submitted values: lengths in inches, as typed under
+ * `entered`, and custom fields under `fields`.
+ */
+
+import wixData from "wix-data";
+
+const WORKSHEETS_COLLECTION = "FiringWorksheets";
+const MAX_LISTED_WORKSHEETS = 50;
+
+/**
+ * Builds the history record of a submitted worksheet.
+ * @param {Array} worksheetData - Lines carrying server-computed prices, from applyServerPricing.
+ * @param {Object} pricing - Worksheet pricing from priceWorksheet.
+ * @param {Array<Object>} uploads - Photo upload results, in worksheet order.
+ * @param {Object} options - Worksheet options from resolveWorksheetOptions.
+ * @param {string} currency - ISO 4217 currency code the worksheet was priced in.
+ * @returns {Object} - Worksheet record, without member.
+ */
+export function toWorksheetRecord(worksheetData, pricing, uploads, options, currency) {
+    const [firstLine] = worksheetData;
+    return {
+        worksheetId: options.worksheetId,
+        submissionId: options.submissionId,
+        submittedAt: new Date(),
+        currency,
+        unit: (firstLine.entered && firstLine.entered.unit) || firstLine.unit || "in",
+        promoCode: options.promoCode,
+        lines: worksheetData.map((item, index) => ({
+            lineId: item._id,
+            firingType: item.firingType,
+            loadType: item.loadType || null,
+            shape: item.shape,
+            height: item.height,
+            width: item.width,
+            length: item.length,
+            entered: item.entered || null,
+            quantity: item.quantity,
+            dueDate: item.dueDate,
+            specialDirections: item.specialDirections || null,
+            fields: item.fields || {},
+            unitCost: item.unitCost,
+            volume: item.volume,
+            price: item.price,
+            discountedPrice: item.discountedPrice,
+            mediaUrls: uploads[index].mediaUrls,
+        })),
+        subtotal: pricing.subtotal,
+        discounts: pricing.discounts,
+        fees: pricing.fees,
+        tax: pricing.tax,
+        total: pricing.total,
+    };
+}
+
+/**
+ * Saves a member's worksheet, replacing an earlier submission of it to the same cart.
+ * @param {string} memberId - ID of the member who submitted it.
+ * @param {string} cartId - ID of the cart it was added to.
+ * @param {Object} record - Record from toWorksheetRecord.
+ * @returns {Promise<Object>} - The saved record.
+ */
+export async function saveWorksheetRecord(memberId, cartId, record) {
+    // Keyed by member as well, so a worksheet ID can't reach another member's history
+    return wixData.save(
+        WORKSHEETS_COLLECTION,
+        { _id: `${memberId}-${cartId}-${record.worksheetId}`, memberId, cartId, ...record },
+        { suppressAuth: true }
+    );
+}
+
+/**
+ * Lists a member's worksheets, most recent first.
+ * @param {string} memberId - Member ID.
+ * @param {number} [limit] - Maximum number of worksheets, capped at MAX_LISTED_WORKSHEETS.
+ * @returns {Promise<Array<Object>>} - Worksheet records.
+ */
+export async function listWorksheetRecords(memberId, limit = 20) {
+    const count = Math.floor(Number(limit));
+    const { items } = await wixData.query(WORKSHEETS_COLLECTION)
+        .eq("memberId", memberId)
+        .descending("submittedAt")
+        .limit(count > 0 ? Math.min(count, MAX_LISTED_WORKSHEETS) : MAX_LISTED_WORKSHEETS)
+        .find({ suppressAuth: true });
+    return items;
+}
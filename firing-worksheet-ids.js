@@ -0,0 +1,56 @@
+/**
+ * Identifiers for worksheets and their lines.
+ * A worksheet ID is random per worksheet; a line ID is random per row, kept
+ * through edits and drafts, and unique within its worksheet. Together they
+ * make the cart line's catalogItemId, so the backend can map any cart line
+ * back to the worksheet row it came from.
+ */
+
+// Wix app ID the worksheet's cart and order lines are tagged with
+export const APP_ID = '97ed05e3-04ed-4095-af45-90587bfed9f0';
+
+const LINE_ID_LENGTH = 10;
+const CATALOG_ITEM_SEPARATOR = ':';
+export const LINE_ID_PATTERN = /^[a-z0-9]{6,32}$/;
+
+/**
+ * Generates a random worksheet ID.
+ * @returns {string} - UUID-style ID.
+ */
+export function generateWorksheetId() {
+    if (globalThis.crypto && globalThis.crypto.randomUUID) return globalThis.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Generates a random line ID.
+ * @returns {string} - Lower-case alphanumeric ID.
+ */
+export function generateLineId() {
+    let id = '';
+    while (id.length < LINE_ID_LENGTH) {
+        id += Math.random().toString(36).slice(2);
+    }
+    return id.slice(0, LINE_ID_LENGTH);
+}
+
+/**
+ * Builds the catalogItemId of a worksheet line's cart item.
+ * @param {string} worksheetId - Worksheet ID.
+ * @param {string} lineId - Line ID.
+ * @returns {string} - catalogItemId.
+ */
+export function toCatalogItemId(worksheetId, lineId) {
+    return `${worksheetId}${CATALOG_ITEM_SEPARATOR}${lineId}`;
+}
+
+/**
+ * Reads the worksheet and line IDs back out of a catalogItemId.
+ * @param {string} catalogItemId - catalogItemId of a cart or order line.
+ * @returns {Object|null} - { worksheetId, lineId }, or null if it isn't a worksheet line.
+ */
+export function parseCatalogItemId(catalogItemId) {
+    const [worksheetId, lineId, ...rest] = String(catalogItemId || '').split(CATALOG_ITEM_SEPARATOR);
+    if (!worksheetId || !LINE_ID_PATTERN.test(lineId || '') || rest.length) return null;
+    return { worksheetId, lineId };
+}
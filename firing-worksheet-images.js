@@ -0,0 +1,65 @@
+/**
+ * Image helpers shared by the worksheet component and the backend.
+ * Photos travel as base64 strings without a data URL prefix; the MIME type is
+ * read from the file's magic bytes rather than trusted from the sender.
+ */
+
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // 5MB
+
+export const IMAGE_EXTENSIONS = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp"
+};
+
+/**
+ * Detects the MIME type of a base64-encoded image from its leading bytes.
+ * @param {string} base64 - Base64 image data.
+ * @returns {string|null} - "image/jpeg", "image/png" or "image/webp", or null if unrecognised.
+ */
+export function detectImageMimeType(base64) {
+    if (typeof base64 !== 'string' || base64.length < 16) return null;
+
+    let header;
+    try {
+        header = atob(base64.slice(0, 16));
+    } catch {
+        return null;
+    }
+
+    if (header.startsWith('\xFF\xD8\xFF')) return 'image/jpeg';
+    if (header.startsWith('\x89PNG\r\n\x1A\n')) return 'image/png';
+    if (header.startsWith('RIFF') && header.slice(8, 12) === 'WEBP') return 'image/webp';
+    return null;
+}
+
+/**
+ * Returns the decoded size of base64 data without decoding it.
+ * @param {string} base64 - Base64 data.
+ * @returns {number} - Size in bytes.
+ */
+export function getBase64Size(base64) {
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+/**
+ * Turns a Wix Media Manager image URL into one a browser can load.
+ * @param {string} mediaUrl - URL such as "wix:image://v1/<file>/<name>#...".
+ * @returns {string} - Static media URL, or the URL unchanged if it isn't a Wix image URL.
+ */
+export function toImageSrc(mediaUrl) {
+    const match = /^wix:image:\/\/v1\/([^/]+)\//.exec(mediaUrl || '');
+    return match ? `https://static.wixstatic.com/media/${match[1]}` : mediaUrl;
+}
+
+/**
+ * Splits a data URL into its MIME type and base64 payload.
+ * @param {string} dataUrl - Data URL such as the result of canvas.toDataURL().
+ * @returns {Object} - { mimeType, data }.
+ */
+export function parseDataUrl(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const mimeType = header.slice('data:'.length).split(';')[0];
+    return { mimeType, data };
+}
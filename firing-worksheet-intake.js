@@ -0,0 +1,83 @@
+/**
+ * Studio intake of paid firing lines, shared by the staff dashboard and the
+ * backend. Each paid worksheet line moves through the statuses below, in
+ * order, as staff take the piece in, load it, fire it and set it out for
+ * pickup; a line nobody has touched yet is awaiting drop-off. A problem can
+ * be flagged at any point, with a note for the customer.
+ *
+ * Lines are grouped into firings by firing type and due date, which for
+ * scheduled firing types is the date the kiln runs.
+ */
+
+import { getFiringSchedule } from './firing-worksheet-calendar.js';
+
+export const AWAITING_STATUS = 'awaiting';
+
+export const LINE_STATUSES = [
+    { value: AWAITING_STATUS, label: 'Awaiting drop-off' },
+    { value: 'received', label: 'Received' },
+    { value: 'loaded', label: 'Loaded' },
+    { value: 'fired', label: 'Fired' },
+    { value: 'ready', label: 'Ready for pickup' },
+    { value: 'problem', label: 'Problem found' }
+];
+
+/**
+ * @param {*} value - Status to check.
+ * @returns {boolean} - Whether the value is a known line status.
+ */
+export function isLineStatus(value) {
+    return LINE_STATUSES.some(status => status.value === value);
+}
+
+/**
+ * Returns the label of a line status.
+ * @param {string} value - Line status.
+ * @returns {string} - Label for display, or the value itself if unknown.
+ */
+export function getStatusLabel(value) {
+    const status = LINE_STATUSES.find(status => status.value === value);
+    return status ? status.label : value;
+}
+
+/**
+ * Describes a firing line's piece for staff and customers.
+ * @param {Object} line - Firing line with shape, loadType and dimensions in inches.
+ * @returns {string} - e.g. "Box, 10 × 10 × 10 in".
+ */
+export function describePiece(line) {
+    const dimensions = [line.height, line.width, line.length].filter(Boolean).join(' × ');
+    return [line.shape, line.loadType, dimensions && `${dimensions} in`].filter(Boolean).join(', ');
+}
+
+/**
+ * Groups firing lines into firings by firing type and due date.
+ * @param {Array<Object>} lines - Lines with firingType, dueDate, quantity and
+ *     volume (cubic inches per piece).
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {Array<Object>} - { firingType, dueDate, capacity, volume, lines } per
+ *     firing, soonest first; capacity is null for firing types that aren't scheduled.
+ */
+export function groupFiringLines(lines, config) {
+    const firings = new Map();
+    lines.forEach(line => {
+        const key = `${line.firingType}|${line.dueDate}`;
+        if (!firings.has(key)) {
+            const schedule = getFiringSchedule(line.firingType, config);
+            firings.set(key, {
+                firingType: line.firingType,
+                dueDate: line.dueDate,
+                capacity: schedule ? schedule.capacity : null,
+                volume: 0,
+                lines: []
+            });
+        }
+        const firing = firings.get(key);
+        firing.volume += line.volume * line.quantity;
+        firing.lines.push(line);
+    });
+
+    return Array.from(firings.values()).sort((a, b) => (
+        String(a.dueDate).localeCompare(String(b.dueDate)) || a.firingType.localeCompare(b.firingType)
+    ));
+}
@@ -0,0 +1,223 @@
+/**
+ * Customer notifications for firing status changes.
+ * When staff move a paid line to a status that has a message template, the
+ * customer who ordered it is told by email and/or SMS. Templates are plain
+ * text with {{placeholders}}; config.notifications.templates overrides them
+ * per status.
+ *
+ * Messages go out through a transport per channel: an object with
+ * `send({ channel, to, subject, body })` and optionally `addressField`, the
+ * recipient field it sends to (by default `email` for email and `phone` for
+ * SMS); customers without it are skipped. Email defaults to a Wix triggered
+ * email, sent to the buyer's contactId, whose template
+ * (config.notifications.emailTemplateId) shows the `subject` and `body`
+ * variables; SMS has no default, so site code registers a transport with
+ * setTransport("sms", ...). createFakeTransport keeps messages in memory for tests.
+ *
+ * Members choose per channel which statuses they hear about, stored in the
+ * FiringNotificationPreferences collection under their member ID. Customers
+ * without saved preferences get DEFAULT_PREFERENCES.
+ */
+
+import wixData from "wix-data";
+import { triggeredEmails } from "wix-crm-backend";
+import { getConfig } from "./firing-worksheet-config.js";
+import { describePiece, getStatusLabel } from "./firing-worksheet-intake.js";
+
+const PREFERENCES_COLLECTION = "FiringNotificationPreferences";
+
+export const CHANNELS = ["email", "sms"];
+
+export const DEFAULT_TEMPLATES = {
+    received: {
+        subject: "We have your pieces for order #{{orderNumber}}",
+        body: "Hi {{firstName}}, we've received your {{piece}} ({{quantity}}) for the {{firingType}} firing on {{dueDate}}.",
+    },
+    fired: {
+        subject: "Your pieces from order #{{orderNumber}} are fired",
+        body: "Hi {{firstName}}, your {{piece}} ({{quantity}}) came out of the {{firingType}} firing.",
+    },
+    ready: {
+        subject: "Order #{{orderNumber}} is ready for pickup",
+        body: "Hi {{firstName}}, your {{piece}} ({{quantity}}) from the {{firingType}} firing is ready for pickup.",
+    },
+    problem: {
+        subject: "A problem with your pieces from order #{{orderNumber}}",
+        body: "Hi {{firstName}}, we found a problem with your {{piece}} ({{quantity}}) for the {{firingType}} firing: {{note}} Please contact the studio.",
+    },
+};
+
+export const DEFAULT_PREFERENCES = {
+    email: Object.keys(DEFAULT_TEMPLATES),
+    sms: [],
+};
+
+// Recipient field a channel's transport sends to, unless it names its own addressField
+const ADDRESS_FIELDS = {
+    email: "email",
+    sms: "phone",
+};
+
+const transports = {};
+
+/**
+ * Registers the transport for a channel, replacing the default.
+ * @param {string} channel - "email" or "sms".
+ * @param {Object|null|undefined} transport - Object with send(message) and optionally
+ *     addressField, null to stop sending on the channel, or undefined to go back to the default.
+ */
+export function setTransport(channel, transport) {
+    transports[channel] = transport;
+}
+
+/**
+ * Creates a transport that keeps messages in memory instead of sending them.
+ * @param {string} [addressField] - Recipient field it needs, if not the channel's default.
+ * @returns {Object} - Transport whose `sent` array lists every message it was given.
+ */
+export function createFakeTransport(addressField) {
+    const sent = [];
+    return {
+        sent,
+        addressField,
+        async send(message) {
+            sent.push(message);
+        },
+    };
+}
+
+/**
+ * Creates a transport that emails contacts through a Wix triggered email.
+ * @param {string} templateId - Triggered email ID; its template shows the subject and body variables.
+ * @returns {Object} - Email transport.
+ */
+export function createWixEmailTransport(templateId) {
+    return {
+        addressField: "contactId",
+        async send({ to, subject, body }) {
+            await triggeredEmails.emailContact(templateId, to.contactId, { variables: { subject, body } });
+        },
+    };
+}
+
+/**
+ * Returns the transport for a channel.
+ * @param {string} channel - "email" or "sms".
+ * @returns {Object|null} - Transport, or null if the channel has none.
+ */
+function getTransport(channel) {
+    if (transports[channel] !== undefined) return transports[channel];
+
+    const { emailTemplateId } = getConfig().notifications;
+    return channel === "email" && emailTemplateId ? createWixEmailTransport(emailTemplateId) : null;
+}
+
+/**
+ * Returns the message template for a status.
+ * @param {string} status - Line status.
+ * @returns {Object|null} - { subject, body }, or null if the status isn't notified.
+ */
+export function getTemplate(status) {
+    const overrides = getConfig().notifications.templates || {};
+    return overrides[status] || DEFAULT_TEMPLATES[status] || null;
+}
+
+/**
+ * Fills in a template's {{placeholders}}; unknown ones are left empty.
+ * @param {string} text - Template text.
+ * @param {Object} values - Placeholder values by name.
+ * @returns {string} - Message text.
+ */
+export function renderTemplate(text, values) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+        values[name] === undefined || values[name] === null ? "" : String(values[name])
+    ));
+}
+
+/**
+ * Keeps a member's choice of notifications to the statuses and channels that exist.
+ * @param {*} preferences - Preferences as { email: [statuses], sms: [statuses] }.
+ * @returns {Object} - Cleaned preferences.
+ */
+export function normalizePreferences(preferences) {
+    const source = preferences && typeof preferences === "object" ? preferences : {};
+    return Object.fromEntries(CHANNELS.map(channel => [
+        channel,
+        Array.isArray(source[channel])
+            ? source[channel].filter(status => status in DEFAULT_TEMPLATES)
+            : DEFAULT_PREFERENCES[channel],
+    ]));
+}
+
+/**
+ * Reads a member's notification preferences.
+ * @param {string|null} memberId - Member ID; null for customers who aren't members.
+ * @returns {Promise<Object>} - { email: [statuses], sms: [statuses] }.
+ */
+export async function getPreferences(memberId) {
+    const record = memberId
+        ? await wixData.get(PREFERENCES_COLLECTION, memberId, { suppressAuth: true })
+        : null;
+    return normalizePreferences(record);
+}
+
+/**
+ * Saves a member's notification preferences.
+ * @param {string} memberId - Member ID.
+ * @param {*} preferences - Preferences as { email: [statuses], sms: [statuses] }.
+ * @returns {Promise<Object>} - The saved preferences.
+ */
+export async function savePreferences(memberId, preferences) {
+    const normalized = normalizePreferences(preferences);
+    await wixData.save(PREFERENCES_COLLECTION, { _id: memberId, ...normalized }, { suppressAuth: true });
+    return normalized;
+}
+
+/**
+ * Tells a customer their piece changed status, on each channel they chose.
+ * A channel that fails, has no transport, or whose transport needs a recipient
+ * field the buyer lacks is reported, never thrown.
+ * @param {Object} line - Firing line from the staff dashboard.
+ * @param {Object} recipient - { memberId, contactId, firstName, email, phone } of the buyer.
+ * @param {string} status - The line's new status.
+ * @param {string} [note] - Staff note, shown in problem messages.
+ * @returns {Promise<Array<Object>>} - { channel, result, error? } per channel tried;
+ *     result is "sent", "failed" or "skipped".
+ */
+export async function notifyStatusChange(line, recipient, status, note) {
+    const template = getTemplate(status);
+    if (!template) return [];
+
+    const preferences = await getPreferences(recipient.memberId);
+    const values = {
+        firstName: recipient.firstName || "there",
+        orderNumber: line.orderNumber,
+        piece: describePiece(line) || "piece",
+        quantity: line.quantity,
+        firingType: line.firingType,
+        dueDate: line.dueDate,
+        status: getStatusLabel(status),
+        note: note || "",
+    };
+    const message = {
+        to: recipient,
+        subject: renderTemplate(template.subject, values),
+        body: renderTemplate(template.body, values),
+    };
+
+    const channels = CHANNELS.filter(channel => preferences[channel].includes(status));
+    return Promise.all(channels.map(async channel => {
+        const transport = getTransport(channel);
+        const address = transport && recipient[transport.addressField || ADDRESS_FIELDS[channel]];
+        if (!transport || !address) {
+            return { channel, result: "skipped", error: transport ? "No address" : "No transport" };
+        }
+        try {
+            await transport.send({ channel, ...message });
+            return { channel, result: "sent" };
+        } catch (error) {
+            console.error(`Error sending ${channel} notification for ${line.key}:`, error);
+            return { channel, result: "failed", error: error.message };
+        }
+    }));
+}
@@ -0,0 +1,283 @@
+/**
+ * Pricing engine for firing worksheet lines.
+ * Used by CeramicsFiringCalculator to display prices and by the backend to
+ * recompute them before anything is added to the cart. Everything here is a
+ * pure function of structured line items and configuration: no DOM, no Wix
+ * APIs, so it runs unchanged in the browser, the backend and plain Node.
+ */
+
+import { getPriceAdjustment, resolveColumns } from './firing-worksheet-columns.js';
+import { getVolume } from './firing-worksheet-shapes.js';
+import { getCurrencyDigits } from './firing-worksheet-currency.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Rounds an amount to the smallest unit of its currency, cents by default.
+ * @param {number} amount - Amount to round.
+ * @param {string} [currency] - ISO 4217 currency code.
+ * @returns {number} - Rounded amount.
+ */
+export function roundCurrency(amount, currency) {
+    const factor = 10 ** getCurrencyDigits(currency);
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Normalizes the pricing rule for a firing type.
+ * A firing option is either a flat per-cubic-inch rate (`"Bisque": 0.04`) or
+ * an object with `rate`, optional `minimum` (per piece), `flatFee` (per line),
+ * volume `tiers` (`[{ minVolume, rate }]`, matched against the line's total
+ * volume) and named `loads` whose fields override the base rule. A load that
+ * sets its own `rate` does not inherit the base tiers.
+ * @param {string} firingType - Firing type name.
+ * @param {string} [loadType] - Load name, e.g. "Shelf Share" or "Full Kiln".
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {Object|null} - rate, minimum, flatFee and tiers, or null if the firing type or load is unknown.
+ */
+export function getFiringRule(firingType, loadType, config) {
+    const option = config.firingOptions[firingType];
+    if (typeof option === 'number') {
+        return loadType ? null : { rate: option, minimum: 0, flatFee: 0, tiers: [] };
+    }
+    if (!option || typeof option !== 'object') return null;
+
+    const { loads, ...base } = option;
+    let rule = base;
+    if (loads && Object.keys(loads).length) {
+        const load = loads[loadType || Object.keys(loads)[0]];
+        if (!load) return null;
+        const tiers = load.rate !== undefined && !load.tiers ? [] : base.tiers;
+        rule = { ...base, tiers, ...load };
+    } else if (loadType) {
+        return null;
+    }
+
+    return {
+        rate: rule.rate || 0,
+        minimum: rule.minimum || 0,
+        flatFee: rule.flatFee || 0,
+        tiers: (rule.tiers || []).slice().sort((a, b) => b.minVolume - a.minVolume)
+    };
+}
+
+/**
+ * Lists the load names configured for a firing type.
+ * @param {string} firingType - Firing type name.
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {Array<string>} - Load names; empty when the type has no load variants.
+ */
+export function getLoadTypes(firingType, config) {
+    const option = config.firingOptions[firingType];
+    return option && typeof option === 'object' && option.loads ? Object.keys(option.loads) : [];
+}
+
+/**
+ * Returns the base per-cubic-inch rate for a firing type.
+ * @param {string} firingType - Firing type name.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {string} [loadType] - Load name.
+ * @returns {number|null} - Rate, or null if the firing type is unknown.
+ */
+export function getUnitCost(firingType, config, loadType) {
+    const rule = getFiringRule(firingType, loadType, config);
+    return rule ? rule.rate : null;
+}
+
+/**
+ * Returns the number of days between now and the due date, rounded up.
+ * @param {string} dueDate - Due date as YYYY-MM-DD.
+ * @param {Date} [now] - Reference date.
+ * @returns {number|null} - Days until due, or null if there is no due date.
+ */
+export function daysUntil(dueDate, now = new Date()) {
+    if (!dueDate) return null;
+    return Math.ceil((new Date(dueDate) - now) / MS_PER_DAY);
+}
+
+/**
+ * Finds the rush band that applies to a line.
+ * Bands are checked from the shortest lead time up; a band with `firingTypes`
+ * only applies to those types.
+ * @param {string} firingType - Firing type name.
+ * @param {string} dueDate - Due date as YYYY-MM-DD.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date.
+ * @returns {Object|null} - Matching band ({ maxDays, premium, label }), or null.
+ */
+export function getRushBand(firingType, dueDate, config, now = new Date()) {
+    const daysDiff = daysUntil(dueDate, now);
+    if (daysDiff === null) return null;
+
+    return (config.rushSchedule || [])
+        .slice()
+        .sort((a, b) => a.maxDays - b.maxDays)
+        .find(band => daysDiff <= band.maxDays
+            && (!band.firingTypes || band.firingTypes.includes(firingType))) || null;
+}
+
+/**
+ * Computes the price of a single worksheet line.
+ * The rate comes from the highest volume tier the line reaches, a per-line
+ * flat fee is spread across its pieces, and each piece is charged at least
+ * the firing type's minimum. Price adjustments from custom columns (such as a
+ * member discount) and then any rush premium are applied on top.
+ * @param {Object} item - Line with firingType, loadType, shape, height, width, length,
+ *     quantity, dueDate and custom field values under fields.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date for rush pricing.
+ * @returns {Object} - unitCost, volume, quantity, rule (label of the rule applied),
+ *     adjustment (percent), rushPremium (percent), rushLabel, unitPrice and
+ *     linePrice. unitPrice is rounded to the currency's smallest unit and linePrice is unitPrice times
+ *     quantity, so the displayed line price always matches what the cart charges.
+ */
+export function priceLineItem(item, config, now = new Date()) {
+    const rule = getFiringRule(item.firingType, item.loadType, config);
+    if (!rule) {
+        throw new Error(`Unknown firing type: ${item.firingType}${item.loadType ? ` (${item.loadType})` : ''}`);
+    }
+
+    const volume = getVolume(item, config);
+    const quantity = item.quantity || 0;
+
+    const tier = rule.tiers.find(({ minVolume }) => volume * quantity >= minVolume);
+    const unitCost = tier ? tier.rate : rule.rate;
+    let ruleLabel = tier ? `Volume tier ≥ ${tier.minVolume} in³` : 'Standard rate';
+
+    let basePrice = volume * unitCost;
+    if (rule.flatFee && quantity) {
+        basePrice += rule.flatFee / quantity;
+        ruleLabel = unitCost ? `${ruleLabel} + flat fee` : 'Flat fee';
+    }
+    if (basePrice < rule.minimum) {
+        basePrice = rule.minimum;
+        ruleLabel = 'Minimum charge';
+    }
+
+    const adjustment = getPriceAdjustment(item, resolveColumns(config));
+    if (adjustment) {
+        basePrice *= (1 + adjustment / 100);
+        ruleLabel += `, ${adjustment > 0 ? '+' : ''}${adjustment}% adjustment`;
+    }
+
+    const rushBand = getRushBand(item.firingType, item.dueDate, config, now);
+    const rushPremium = rushBand ? rushBand.premium : 0;
+    basePrice *= (1 + rushPremium / 100);
+
+    const unitPrice = roundCurrency(basePrice, config.currency);
+
+    return {
+        unitCost,
+        volume,
+        quantity,
+        rule: ruleLabel,
+        adjustment,
+        rushPremium,
+        rushLabel: rushBand ? `${rushBand.label || 'Rush'} +${rushPremium}%` : null,
+        unitPrice,
+        linePrice: roundCurrency(unitPrice * quantity, config.currency)
+    };
+}
+
+/**
+ * Looks up a promo code.
+ * Codes are matched case-insensitively against `promoCodes`, a map from
+ * code to { label, percent } or { label, amount }, optionally with an
+ * `expires` date (YYYY-MM-DD, the last valid day). The codes are kept on the
+ * backend, see firing-worksheet-promotions.js.
+ * @param {string} code - Code as entered.
+ * @param {Object} promoCodes - Promo codes by code.
+ * @param {Date} [now] - Reference date for expiry.
+ * @returns {Object|null} - { code, label, percent, amount }, or null if the code is unknown or expired.
+ */
+export function getPromotion(code, promoCodes, now = new Date()) {
+    const normalized = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    const key = Object.keys(promoCodes).find(name => name.toUpperCase() === normalized);
+    if (!normalized || !key) return null;
+
+    const promotion = promoCodes[key];
+    if (promotion.expires && now.toISOString().split('T')[0] > promotion.expires) return null;
+    return {
+        code: key,
+        label: promotion.label || `Promo ${key}`,
+        percent: promotion.percent || 0,
+        amount: promotion.amount || 0
+    };
+}
+
+/**
+ * Prices a whole worksheet, including worksheet-level adjustments.
+ * Discounts (the member discount, then a promotion from getPromotion) are applied to each
+ * line's unit price so the cart can charge discounted lines directly; a fixed
+ * promo amount is spread across lines in proportion to their price. Fees in
+ * `config.fees` ({ label, amount, per: "worksheet" | "piece" } or
+ * { label, percent }) are charged on the discounted subtotal, and estimated
+ * tax at `config.taxRate` percent on the discounted subtotal plus fees.
+ * @param {Array} items - Structured worksheet lines.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date for rush pricing.
+ * @param {Object} [options] - promotion to apply, and member if the member discount applies.
+ * @returns {Object} - lines (one breakdown per item, in order, each with
+ *     discountedUnitPrice and discountedLinePrice), totalQuantity, subtotal,
+ *     discounts ([{ label, code, amount }]), fees ([{ label, amount }]),
+ *     tax ({ label, rate, amount } or null), promotion (null if there is
+ *     none) and total. Tax is only an estimate, so the cart is charged the
+ *     total less tax.
+ */
+export function priceWorksheet(items, config, now = new Date(), { promotion = null, member = false } = {}) {
+    const currency = config.currency;
+    const lines = items.map(item => priceLineItem(item, config, now));
+    const totalQuantity = lines.reduce((sum, line) => sum + line.quantity, 0);
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.linePrice, 0), currency);
+
+    const applicable = [];
+    if (member && config.memberDiscount) {
+        applicable.push({ code: null, label: 'Member discount', amount: 0, ...config.memberDiscount });
+    }
+    if (promotion) applicable.push(promotion);
+
+    // Discounts compound: each applies to what the previous ones left
+    let factor = 1;
+    const discounts = applicable.map(({ label, code, percent, amount }) => {
+        const remaining = subtotal * factor;
+        const discount = amount ? Math.min(amount, remaining) : remaining * (percent || 0) / 100;
+        if (remaining) factor *= 1 - discount / remaining;
+        return { label, code, amount: roundCurrency(discount, currency) };
+    });
+
+    lines.forEach(line => {
+        line.discountedUnitPrice = roundCurrency(line.unitPrice * factor, currency);
+        line.discountedLinePrice = roundCurrency(line.discountedUnitPrice * line.quantity, currency);
+    });
+    const discountedSubtotal = roundCurrency(lines.reduce((sum, line) => sum + line.discountedLinePrice, 0), currency);
+
+    // Per-unit rounding decides the real discount, so the last one absorbs the difference
+    if (discounts.length) {
+        const others = discounts.slice(0, -1).reduce((sum, { amount }) => sum + amount, 0);
+        discounts[discounts.length - 1].amount = roundCurrency(subtotal - discountedSubtotal - others, currency);
+    }
+
+    const fees = (config.fees || []).map(fee => {
+        let amount = fee.percent ? discountedSubtotal * fee.percent / 100 : fee.amount || 0;
+        if (fee.per === 'piece') amount *= totalQuantity;
+        return { label: fee.label, amount: roundCurrency(amount, currency) };
+    }).filter(({ amount }) => amount > 0);
+    const feeTotal = fees.reduce((sum, { amount }) => sum + amount, 0);
+
+    const tax = config.taxRate ? {
+        label: config.taxLabel,
+        rate: config.taxRate,
+        amount: roundCurrency((discountedSubtotal + feeTotal) * config.taxRate / 100, currency)
+    } : null;
+
+    return {
+        lines,
+        totalQuantity,
+        subtotal,
+        discounts,
+        fees,
+        tax,
+        promotion,
+        total: roundCurrency(discountedSubtotal + feeTotal + (tax ? tax.amount : 0), currency)
+    };
+}
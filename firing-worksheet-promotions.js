@@ -0,0 +1,49 @@
+/**
+ * Promo codes, known only to the backend.
+ * The codes live in promo-codes.json beside config.json. Only this backend
+ * module reads that file, so the codes never ship to the browser: the host
+ * page asks validatePromoCode about the code a customer typed, and
+ * addWorksheetToCart looks it up again on submission. The file maps each code
+ * to { label, percent } or { label, amount }, optionally with an `expires`
+ * date (YYYY-MM-DD, the last valid day), e.g.
+ *   { "SPRING10": { "label": "Spring sale", "percent": 10, "expires": "2026-05-31" } }
+ */
+
+import { getPromotion } from "./firing-worksheet-pricing.js";
+
+let promoCodes = null;
+
+/**
+ * Replaces the promo codes, e.g. with codes kept somewhere other than promo-codes.json.
+ * @param {Object|null} codes - Promo codes by code, or null to read promo-codes.json again.
+ */
+export function setPromoCodes(codes) {
+    promoCodes = codes;
+}
+
+/**
+ * Returns the promo codes, reading promo-codes.json the first time.
+ * @returns {Object} - Promo codes by code.
+ */
+export function getPromoCodes() {
+    if (promoCodes) return promoCodes;
+
+    try {
+        // The Wix bundler provides require; plain Node (the tests) starts without codes
+        promoCodes = typeof require === "function" ? require("../promo-codes.json") : {};
+    } catch (error) {
+        console.error("Failed to load promo codes, none will be accepted:", error);
+        promoCodes = {};
+    }
+    return promoCodes;
+}
+
+/**
+ * Looks up a promo code a customer entered.
+ * @param {string} code - Code as entered.
+ * @param {Date} [now] - Reference date for expiry.
+ * @returns {Object|null} - { code, label, percent, amount }, or null if the code is unknown or expired.
+ */
+export function findPromotion(code, now = new Date()) {
+    return getPromotion(code, getPromoCodes(), now);
+}
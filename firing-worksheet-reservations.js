@@ -0,0 +1,190 @@
+/**
+ * Kiln capacity held for worksheets in the cart.
+ * Submitting a worksheet holds room in each scheduled firing its lines go
+ * into. A hold lasts config.reservationHoldHours, so carts that are abandoned
+ * and lines removed from the cart give their room back by themselves. Once
+ * the order is placed, confirmOrderReservations keeps the order's holds until
+ * their firing; the site's backend/events.js calls it:
+ *
+ *     import { confirmOrderReservations } from "backend/firing-worksheet-reservations";
+ *
+ *     export function wixEcom_onOrderCreated(event) {
+ *         return confirmOrderReservations(event.entity);
+ *     }
+ *
+ * A hold is inserted before it is checked against the firing's capacity,
+ * counting every other live hold. Of two submissions made together, each sees
+ * the other's hold, so they can't both take the last of a firing; at worst
+ * both are refused and the customer tries again.
+ *
+ * Holds are kept in FiringReservations, written with suppressAuth:
+ *   { _id, firingType, firingDate, volume, worksheetId, cartId, expiresAt }
+ * cartId is null until the worksheet's lines are in a new cart.
+ */
+
+import wixData from "wix-data";
+import { checkout } from "wix-ecom-backend";
+import { elevate } from "wix-auth";
+import { randomUUID } from "crypto";
+import { getFiringSchedule } from "./firing-worksheet-calendar.js";
+
+const RESERVATIONS_COLLECTION = "FiringReservations";
+const PAGE_SIZE = 1000;
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+/**
+ * Reads every record a query matches, a page at a time.
+ * @param {Object} query - wix-data query.
+ * @returns {Promise<Array<Object>>} - Matching records.
+ */
+async function findAll(query) {
+    let results = await query.limit(PAGE_SIZE).find({ suppressAuth: true });
+    const items = [...results.items];
+    while (results.hasNext()) {
+        results = await results.next();
+        items.push(...results.items);
+    }
+    return items;
+}
+
+/**
+ * Whether a reservation is one a resubmission replaces: the same worksheet's,
+ * made for the cart it is going into. Reservations for carts that were
+ * already checked out stay, even if the worksheet ID comes back.
+ * @param {Object} reservation - FiringReservations record.
+ * @param {string} worksheetId - ID of the worksheet being submitted.
+ * @param {string|null} cartId - ID of the current cart, if there is one.
+ * @returns {boolean} - Whether the reservation is replaced.
+ */
+function isReplacedReservation(reservation, worksheetId, cartId) {
+    return Boolean(cartId) && reservation.worksheetId === worksheetId && reservation.cartId === cartId;
+}
+
+/**
+ * Sums the kiln volume held for a firing type by firing date.
+ * @param {string} firingType - Firing type name.
+ * @param {string} fromDate - Earliest firing date to include (YYYY-MM-DD).
+ * @param {Object} [options] - { now, replacing }: the reference date, and
+ *     { worksheetId, cartId, holdIds } of a submission whose earlier reservations to leave out.
+ * @returns {Promise<Map<string, number>>} - Held cubic inches by firing date.
+ */
+export async function getReservedVolume(firingType, fromDate, { now = new Date(), replacing = null } = {}) {
+    const items = await findAll(wixData.query(RESERVATIONS_COLLECTION)
+        .eq("firingType", firingType)
+        .ge("firingDate", fromDate)
+        .gt("expiresAt", now));
+
+    return items
+        .filter(reservation => !replacing
+            || replacing.holdIds.includes(reservation._id)
+            || !isReplacedReservation(reservation, replacing.worksheetId, replacing.cartId))
+        .reduce((reserved, { firingDate, volume }) => {
+            reserved.set(firingDate, (reserved.get(firingDate) || 0) + volume);
+            return reserved;
+        }, new Map());
+}
+
+/**
+ * Holds room for a submission in the firings it goes into.
+ * If any firing is then over capacity, none of the holds are kept.
+ * @param {Array<Object>} requests - { firingType, firingDate, volume } per firing, for scheduled firing types.
+ * @param {string} worksheetId - ID of the worksheet being submitted.
+ * @param {string|null} cartId - ID of the current cart, if there is one.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date.
+ * @returns {Promise<Object>} - { holds, full }: the holds made, or, if some firings
+ *     didn't have room, no holds and those requests with the volume they had `remaining`.
+ */
+export async function holdFiringCapacity(requests, worksheetId, cartId, config, now = new Date()) {
+    const expiresAt = new Date(now.getTime() + config.reservationHoldHours * MS_PER_HOUR);
+    const holds = requests.map(request => ({ _id: randomUUID(), ...request, worksheetId, cartId, expiresAt }));
+    if (!holds.length) return { holds, full: [] };
+    await wixData.bulkInsert(RESERVATIONS_COLLECTION, holds, { suppressAuth: true });
+
+    const replacing = { worksheetId, cartId, holdIds: holds.map(({ _id }) => _id) };
+    const remaining = await Promise.all(holds.map(async ({ firingType, firingDate, volume }) => {
+        const reserved = await getReservedVolume(firingType, firingDate, { now, replacing });
+        return getFiringSchedule(firingType, config).capacity - ((reserved.get(firingDate) || 0) - volume);
+    }));
+    const full = requests
+        .map((request, index) => ({ ...request, remaining: Math.max(0, remaining[index]) }))
+        .filter(({ volume, remaining }) => volume > remaining);
+    if (!full.length) return { holds, full };
+
+    await releaseFiringCapacity(holds);
+    return { holds: [], full };
+}
+
+/**
+ * Keeps a submission's holds once its lines are in the cart: they are tagged
+ * with the cart, and the worksheet's holds from any earlier submission to the
+ * same cart are dropped. A failure here is logged rather than thrown, since
+ * the cart is already updated.
+ * @param {Array<Object>} holds - Holds from holdFiringCapacity.
+ * @param {Object} updatedCart - Cart the worksheet was added to.
+ * @param {string} worksheetId - ID of the submitted worksheet.
+ * @returns {Promise<void>}
+ */
+export async function commitFiringCapacity(holds, updatedCart, worksheetId) {
+    const cartId = updatedCart?._id || null;
+    if (!cartId) return;
+
+    try {
+        const holdIds = holds.map(({ _id }) => _id);
+        const previous = await findAll(wixData.query(RESERVATIONS_COLLECTION)
+            .eq("worksheetId", worksheetId)
+            .eq("cartId", cartId));
+        const replaced = previous.filter(({ _id }) => !holdIds.includes(_id));
+        if (replaced.length) {
+            await wixData.bulkRemove(RESERVATIONS_COLLECTION, replaced.map(({ _id }) => _id), { suppressAuth: true });
+        }
+
+        await Promise.all(holds
+            .filter(hold => hold.cartId !== cartId)
+            .map(hold => wixData.update(RESERVATIONS_COLLECTION, { ...hold, cartId }, { suppressAuth: true })));
+    } catch (error) {
+        console.error("Error reserving firing capacity:", error);
+    }
+}
+
+/**
+ * Gives back the holds of a submission that didn't make it into the cart.
+ * @param {Array<Object>|null} holds - Holds from holdFiringCapacity.
+ * @returns {Promise<void>}
+ */
+export async function releaseFiringCapacity(holds) {
+    if (!holds || !holds.length) return;
+
+    try {
+        await wixData.bulkRemove(RESERVATIONS_COLLECTION, holds.map(({ _id }) => _id), { suppressAuth: true });
+    } catch (error) {
+        console.error("Error releasing firing capacity, it stays held until the holds expire:", error);
+    }
+}
+
+/**
+ * Keeps an order's holds until their firing, even if they would have expired.
+ * Only the holds of worksheets still in the order are kept; the rest of the
+ * cart's holds are left to expire.
+ * @param {Object} order - eCommerce order, as in wixEcom_onOrderCreated.
+ * @returns {Promise<number>} - Number of holds kept.
+ */
+export async function confirmOrderReservations(order) {
+    if (!order || !order.checkoutId) return 0;
+
+    const { cartId } = await elevate(checkout.getCheckout)(order.checkoutId);
+    const worksheetIds = (order.lineItems || [])
+        .map(lineItem => ((lineItem.catalogReference || {}).options || {}).WorksheetId)
+        .filter(Boolean);
+    if (!cartId || !worksheetIds.length) return 0;
+
+    const holds = await findAll(wixData.query(RESERVATIONS_COLLECTION)
+        .eq("cartId", cartId)
+        .hasSome("worksheetId", worksheetIds));
+    await Promise.all(holds.map(hold => wixData.update(RESERVATIONS_COLLECTION, {
+        ...hold,
+        expiresAt: new Date(new Date(`${hold.firingDate}T00:00:00Z`).getTime() + MS_PER_DAY),
+    }, { suppressAuth: true })));
+    return holds.length;
+}
@@ -0,0 +1,185 @@
+/**
+ * Validation rules for worksheet lines, shared by the component and the backend.
+ * The component checks each field as the customer edits it; the backend
+ * checks the whole submitted payload with the same rules, since anything can
+ * call its web method. Column rules (types, ranges against maxDimension and
+ * maxQuantity, text lengths, select choices) come from the column schema, see
+ * firing-worksheet-columns.js; this module adds the rules that need more than
+ * one column or the configuration: firing types, due dates and photos.
+ *
+ * Submitted lengths are in inches, with the values as typed under `entered`.
+ * Entered values are checked against the column converted to the customer's
+ * unit, as the component did, and must convert to the inches submitted.
+ */
+
+import { getFiringRule } from './firing-worksheet-pricing.js';
+import { getEarliestDueDate, toISODate } from './firing-worksheet-calendar.js';
+import { getBase64Size, detectImageMimeType, MAX_IMAGE_BYTES } from './firing-worksheet-images.js';
+import {
+    getDefaultColumns, getDefaultValue, isCustomColumn, isInputColumn, validateFieldValue
+} from './firing-worksheet-columns.js';
+import { getShape } from './firing-worksheet-shapes.js';
+import { CANONICAL_UNIT, UNITS, convertColumn, toCanonicalLength } from './firing-worksheet-units.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_CUSTOM_FIELD_LENGTH = 200;
+
+/**
+ * Validates a due date.
+ * @param {*} value - Due date as YYYY-MM-DD.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date.
+ * @returns {string|null} - Error message, or null if the date is valid.
+ */
+export function validateDueDate(value, config, now = new Date()) {
+    if (value === null || value === undefined || value === '') return 'Field required';
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return 'Must be a date';
+
+    const date = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(date.getTime()) || toISODate(date) !== value) return 'Must be a date';
+
+    const earliest = getEarliestDueDate(config, now);
+    return value < earliest ? `Earliest due date is ${earliest}` : null;
+}
+
+/**
+ * Validates a line's photos.
+ * @param {*} photos - Photos as [{ data, mimeType }] with base64 data.
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {string|null} - Error message, or null if the photos are valid.
+ */
+export function validatePhotos(photos, config) {
+    if (photos === null || photos === undefined) return null;
+    if (!Array.isArray(photos)) return 'Invalid photos';
+    if (photos.length > config.maxPhotosPerLine) return `Up to ${config.maxPhotosPerLine} photos per row`;
+
+    for (const photo of photos) {
+        if (!photo || typeof photo.data !== 'string') return 'Invalid photo';
+        if (getBase64Size(photo.data) > MAX_IMAGE_BYTES) return 'File size exceeds 5MB limit';
+        if (!detectImageMimeType(photo.data)) return 'Unsupported image type';
+    }
+    return null;
+}
+
+/**
+ * Validates a length column of a submitted line.
+ * @param {Object} column - Column definition in inches.
+ * @param {Object} item - Submitted line.
+ * @returns {string|null} - Error message, or null if the length is valid.
+ */
+function validateLength(column, item) {
+    const value = getLineValue(item, column);
+    const entered = item.entered || {};
+    if (!entered.unit || entered.unit === CANONICAL_UNIT || entered[column.name] === undefined) {
+        return validateFieldValue(column, value);
+    }
+
+    const error = validateFieldValue(convertColumn(column, entered.unit), entered[column.name]);
+    if (error) return error;
+    if (value !== toCanonicalLength(entered[column.name], entered.unit)) {
+        return `Does not match ${entered[column.name]} ${UNITS[entered.unit].label}`;
+    }
+    return null;
+}
+
+/**
+ * @param {*} value - Custom field value.
+ * @returns {boolean} - Whether the value is empty, a number, a boolean or short text.
+ */
+function isPlainFieldValue(value) {
+    if (typeof value === 'string') return value.length <= MAX_CUSTOM_FIELD_LENGTH;
+    return value === null || typeof value === 'number' || typeof value === 'boolean';
+}
+
+/**
+ * Validates the custom fields of a submitted line that the schema doesn't list.
+ * Such fields come from columns supplied only to the component; they are
+ * shown in the cart, so only short plain values are accepted.
+ * @param {Object} fields - Custom field values by name.
+ * @param {Array<Object>} columns - Resolved column schema.
+ * @returns {Array<Object>} - Errors as { field, message }.
+ */
+function validateUnknownFields(fields, columns) {
+    return Object.entries(fields)
+        .filter(([name]) => !columns.some(column => column.name === name && isCustomColumn(column)))
+        .filter(([, value]) => !isPlainFieldValue(value))
+        .map(([name]) => ({ field: name, message: 'Invalid value' }));
+}
+
+/**
+ * Validates the built-in fields of a submitted line that the schema leaves out.
+ * The component never sends them, yet the backend would put them in the cart,
+ * so they must be empty or hold the value a new row starts with.
+ * @param {Object} item - Submitted line.
+ * @param {Array<Object>} columns - Resolved column schema.
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {Array<Object>} - Errors as { field, message }.
+ */
+function validateOmittedFields(item, columns, config) {
+    return getDefaultColumns(config)
+        .filter(column => isInputColumn(column) && !columns.some(({ name }) => name === column.name))
+        .filter(column => {
+            const value = item[column.name];
+            return value !== undefined && value !== null && value !== '' && value !== getDefaultValue(column);
+        })
+        .map(column => ({ field: column.name, message: 'Not a worksheet field' }));
+}
+
+/**
+ * @param {Object} item - Submitted line.
+ * @param {Object} column - Column definition.
+ * @returns {*} - The line's value for the column, from item.fields for custom columns.
+ */
+function getLineValue(item, column) {
+    return isCustomColumn(column) ? (item.fields || {})[column.name] : item[column.name];
+}
+
+/**
+ * Validates a submitted worksheet line against the schema.
+ * @param {*} item - Line as sent by the component's submitWorksheet event.
+ * @param {Array<Object>} columns - Resolved column schema, in inches.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date for the due date.
+ * @returns {Array<Object>} - Errors as { field, message }; field is null for the line as a whole.
+ */
+export function validateWorksheetLine(item, columns, config, now = new Date()) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return [{ field: null, message: 'Line is not valid' }];
+    }
+
+    const errors = [];
+    if (typeof item.firingType !== 'string' || !getFiringRule(item.firingType, item.loadType, config)) {
+        errors.push({ field: 'firingType', message: `Unknown firing type: ${item.firingType}` });
+    }
+    if (item.entered !== undefined && (!item.entered || !UNITS[item.entered.unit])) {
+        errors.push({ field: null, message: 'Unknown unit' });
+        return errors;
+    }
+    if (item.fields !== undefined && (!item.fields || typeof item.fields !== 'object' || Array.isArray(item.fields))) {
+        errors.push({ field: null, message: 'Invalid custom fields' });
+        return errors;
+    }
+
+    const dimensions = getShape(item.shape).dimensions;
+    columns.filter(isInputColumn).forEach(column => {
+        let error;
+        if (column.measure === 'length') {
+            // Built-in dimensions the shape doesn't use are ignored, as in the cart
+            if (!isCustomColumn(column) && !dimensions.includes(column.name)) return;
+            error = validateLength(column, item);
+        } else {
+            error = validateFieldValue(column, getLineValue(item, column));
+        }
+        if (error) errors.push({ field: column.name, message: error });
+    });
+    errors.push(...validateOmittedFields(item, columns, config));
+    errors.push(...validateUnknownFields(item.fields || {}, columns));
+
+    const dueDateError = validateDueDate(item.dueDate, config, now);
+    if (dueDateError) errors.push({ field: 'dueDate', message: dueDateError });
+
+    const photosError = validatePhotos(item.photos, config);
+    if (photosError) errors.push({ field: 'photoUpload', message: photosError });
+
+    return errors;
+}
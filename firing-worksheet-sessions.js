@@ -0,0 +1,304 @@
+/**
+ * Abuse protection for the worksheet's public web methods.
+ * Every web method is callable by anyone, so each caller first gets a
+ * worksheet session from startWorksheetSession. Submissions and uploads must
+ * name an active session. uploadImage additionally takes a single-use upload
+ * token, issued only for an active session.
+ *
+ * Limits belong to the session's owner rather than the session, so starting
+ * a new session doesn't reset them: a logged-in member is known by member ID,
+ * anyone else by a random visitor ID their browser keeps. A visitor ID costs
+ * nothing to replace, so the photos of everyone who isn't logged in also
+ * count against one site-wide quota (config.uploadQuota.visitorsTotal).
+ *
+ * State lives in four collections, all written with suppressAuth so site
+ * visitors need no permissions on them:
+ *   - FiringSessions: { _id, owner, memberId, expiresAt }
+ *   - FiringUploadTokens: { _id, sessionId, expiresAt }, plus a
+ *     { _id: "<token>:redeemed" } marker once a token is used
+ *   - FiringRateLimits: { _id: "<window key>:<slot>", windowKey, slot, expiresAt }, one
+ *     per call, where the window key is "<action>:<caller>:<window start>"
+ *   - FiringUploadQuotas: { _id: "<quota key>:<revision>", quotaKey, revision, files, bytes, expiresAt }
+ * Single use, rate limits and quotas hold under concurrent calls because
+ * wix-data refuses to insert an _id that already exists: of two calls racing
+ * for the same marker, rate limit slot or quota revision, only one insert succeeds. Nothing here touches
+ * anything but wix-data and the `now` it is given, so it runs unchanged
+ * against a mocked wix-data.
+ */
+
+import wixData from "wix-data";
+import { randomUUID } from "crypto";
+import { DEFAULT_CONFIG } from "./firing-worksheet-config.js";
+
+const SESSIONS_COLLECTION = "FiringSessions";
+const UPLOAD_TOKENS_COLLECTION = "FiringUploadTokens";
+const RATE_LIMITS_COLLECTION = "FiringRateLimits";
+const UPLOAD_QUOTAS_COLLECTION = "FiringUploadQuotas";
+const ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const UPLOAD_TOKEN_TTL_MS = 10 * 60 * 1000;
+const QUOTA_ATTEMPTS = 5;
+const MS_PER_HOUR = 60 * 60 * 1000;
+const BYTES_PER_MEGABYTE = 1024 * 1024;
+
+/**
+ * A call refused by a rate limit, quota, or missing session or token.
+ */
+export class LimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "LimitError";
+    }
+}
+
+/**
+ * @param {*} id - ID from the client.
+ * @returns {boolean} - Whether it is a well-formed session, token or visitor ID.
+ */
+function isValidId(id) {
+    return ID_PATTERN.test(typeof id === "string" ? id : "");
+}
+
+/**
+ * Counts a call against a rate limit, refusing it once the limit is reached.
+ * Limits use fixed windows with one numbered slot per allowed call; a call
+ * takes the next free slot, moving on to the one after if another call took it first.
+ * @param {string} action - Limited action: "session", "submit", "upload" or "promo".
+ * @param {string} caller - Who is calling, usually a session owner from getOwner.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date.
+ * @returns {Promise<void>}
+ * @throws {LimitError} - If the caller has used up the current window.
+ */
+export async function checkRateLimit(action, caller, config, now = new Date()) {
+    const { limit, windowSeconds } = (config.rateLimits || {})[action] || DEFAULT_CONFIG.rateLimits[action];
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+    const windowKey = `${action}:${caller}:${windowStart}`;
+
+    const { items: [latest] } = await wixData.query(RATE_LIMITS_COLLECTION)
+        .eq("windowKey", windowKey)
+        .descending("slot")
+        .limit(1)
+        .find({ suppressAuth: true });
+    for (let slot = (latest ? latest.slot : 0) + 1; slot <= limit; slot++) {
+        try {
+            await wixData.insert(RATE_LIMITS_COLLECTION, {
+                _id: `${windowKey}:${slot}`,
+                windowKey,
+                slot,
+                expiresAt: new Date(windowStart + windowMs),
+            }, { suppressAuth: true });
+            return;
+        } catch (error) {
+            console.warn(`Rate limit slot ${windowKey}:${slot} was taken, trying the next:`, error);
+        }
+    }
+
+    const retrySeconds = Math.ceil((windowStart + windowMs - now.getTime()) / 1000);
+    throw new LimitError(`Too many requests, please try again in ${retrySeconds} seconds`);
+}
+
+/**
+ * Names who a session belongs to, for its limits and quota.
+ * @param {string|null} memberId - ID of the logged-in member, if any.
+ * @param {*} visitorId - Random ID the visitor's browser keeps, used when they aren't logged in.
+ * @returns {string} - "member:<ID>" or "visitor:<ID>".
+ * @throws {LimitError} - If a visitor who isn't logged in has no valid visitor ID.
+ */
+export function getOwner(memberId, visitorId) {
+    if (memberId) return `member:${memberId}`;
+    if (!isValidId(visitorId)) {
+        throw new LimitError("Your browser could not be identified, please reload the page");
+    }
+    return `visitor:${visitorId}`;
+}
+
+/**
+ * Starts a worksheet session.
+ * @param {string} owner - Owner from getOwner.
+ * @param {string|null} memberId - ID of the logged-in member, if any.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date.
+ * @returns {Promise<Object>} - The session record.
+ */
+export async function createSession(owner, memberId, config, now = new Date()) {
+    return wixData.insert(SESSIONS_COLLECTION, {
+        _id: randomUUID(),
+        owner,
+        memberId,
+        expiresAt: new Date(now.getTime() + config.sessionHours * MS_PER_HOUR),
+    }, { suppressAuth: true });
+}
+
+/**
+ * Looks up an active worksheet session.
+ * @param {*} sessionId - Session ID from the client.
+ * @param {Date} [now] - Reference date.
+ * @returns {Promise<Object>} - The session record.
+ * @throws {LimitError} - If there is no such session or it has expired.
+ */
+export async function getActiveSession(sessionId, now = new Date()) {
+    const session = isValidId(sessionId)
+        ? await wixData.get(SESSIONS_COLLECTION, sessionId, { suppressAuth: true })
+        : null;
+    if (!session || new Date(session.expiresAt) <= now) {
+        throw new LimitError("Your worksheet session has expired or is missing, please reload the page");
+    }
+    return session;
+}
+
+/**
+ * Issues a single-use upload token for an active session.
+ * @param {Object} session - Record from getActiveSession.
+ * @param {Date} [now] - Reference date.
+ * @returns {Promise<Object>} - { token, expiresAt }.
+ */
+export async function issueUploadToken(session, now = new Date()) {
+    const expiresAt = new Date(Math.min(now.getTime() + UPLOAD_TOKEN_TTL_MS, new Date(session.expiresAt).getTime()));
+    const record = await wixData.insert(
+        UPLOAD_TOKENS_COLLECTION,
+        { _id: randomUUID(), sessionId: session._id, expiresAt },
+        { suppressAuth: true }
+    );
+    return { token: record._id, expiresAt };
+}
+
+/**
+ * Uses up an upload token.
+ * The token is claimed by inserting its redeemed marker, so of two calls
+ * with the same token only the first gets through.
+ * @param {*} token - Upload token from the client.
+ * @param {Date} [now] - Reference date.
+ * @returns {Promise<Object>} - The token's active session.
+ * @throws {LimitError} - If the token is unknown, used or expired, or its session has expired.
+ */
+export async function redeemUploadToken(token, now = new Date()) {
+    const invalid = new LimitError("Upload token is invalid or has expired");
+    const record = isValidId(token)
+        ? await wixData.get(UPLOAD_TOKENS_COLLECTION, token, { suppressAuth: true })
+        : null;
+    if (!record || new Date(record.expiresAt) <= now) throw invalid;
+
+    try {
+        await wixData.insert(
+            UPLOAD_TOKENS_COLLECTION,
+            { _id: `${token}:redeemed`, sessionId: record.sessionId, expiresAt: record.expiresAt },
+            { suppressAuth: true }
+        );
+    } catch (error) {
+        throw invalid;
+    }
+    return getActiveSession(record.sessionId, now);
+}
+
+/**
+ * Adds files and bytes to a quota counter.
+ * Each change inserts the counter's next revision; if another call inserted
+ * it first, the counter is read again and the change retried.
+ * @param {string} quotaKey - Counter to change.
+ * @param {number} files - Files to add; negative to give them back.
+ * @param {number} bytes - Bytes to add; negative to give them back.
+ * @param {Object|null} limit - { files, bytes } the counter may not exceed; null to skip the check.
+ * @param {Date} expiresAt - When the counter's window ends.
+ * @returns {Promise<void>}
+ * @throws {LimitError} - If the change exceeds the limit, or the counter is too busy.
+ */
+async function addToQuota(quotaKey, files, bytes, limit, expiresAt) {
+    for (let attempt = 0; attempt < QUOTA_ATTEMPTS; attempt++) {
+        const { items: [latest] } = await wixData.query(UPLOAD_QUOTAS_COLLECTION)
+            .eq("quotaKey", quotaKey)
+            .descending("revision")
+            .limit(1)
+            .find({ suppressAuth: true });
+        const current = latest || { revision: 0, files: 0, bytes: 0 };
+        if (limit && (current.files + files > limit.files || current.bytes + bytes > limit.bytes)) {
+            throw new LimitError(limit.message);
+        }
+
+        const revision = current.revision + 1;
+        try {
+            await wixData.insert(UPLOAD_QUOTAS_COLLECTION, {
+                _id: `${quotaKey}:${revision}`,
+                quotaKey,
+                revision,
+                files: current.files + files,
+                bytes: current.bytes + bytes,
+                expiresAt,
+            }, { suppressAuth: true });
+            return;
+        } catch (error) {
+            console.warn(`Quota ${quotaKey} changed while updating it, retrying:`, error);
+        }
+    }
+    throw new LimitError("Too many uploads at once, please try again");
+}
+
+/**
+ * Counts uploads against the session owner's quota, refusing them if they
+ * don't fit. Uploads by visitors who aren't logged in also count against the
+ * quota they all share.
+ * @param {Object} session - Record from getActiveSession.
+ * @param {number} files - Number of files to upload.
+ * @param {number} bytes - Their total size in bytes.
+ * @param {Object} config - Firing worksheet configuration.
+ * @param {Date} [now] - Reference date.
+ * @returns {Promise<Object>} - The reservation, for releaseUploadQuota.
+ * @throws {LimitError} - If the uploads would exceed a quota.
+ */
+export async function reserveUploadQuota(session, files, bytes, config, now = new Date()) {
+    const quota = { ...DEFAULT_CONFIG.uploadQuota, ...config.uploadQuota };
+    const windowMs = quota.hours * MS_PER_HOUR;
+    const windowStart = Math.floor(now.getTime() / windowMs) * windowMs;
+    const expiresAt = new Date(windowStart + windowMs);
+    const period = quota.hours === 24 ? "day" : `${quota.hours} hours`;
+
+    const counters = [{
+        quotaKey: `${session.owner}:${windowStart}`,
+        limit: {
+            files: quota.files,
+            bytes: quota.megabytes * BYTES_PER_MEGABYTE,
+            message: `Photo upload limit reached (${quota.files} photos or ${quota.megabytes}MB per ${period})`,
+        },
+    }];
+    if (!session.memberId) {
+        counters.push({
+            quotaKey: `visitors:${windowStart}`,
+            limit: {
+                files: quota.visitorsTotal.files,
+                bytes: quota.visitorsTotal.megabytes * BYTES_PER_MEGABYTE,
+                message: "Photo uploads are busy right now, please log in or try again later",
+            },
+        });
+    }
+
+    const reserved = [];
+    try {
+        for (const { quotaKey, limit } of counters) {
+            await addToQuota(quotaKey, files, bytes, limit, expiresAt);
+            reserved.push(quotaKey);
+        }
+    } catch (error) {
+        await releaseUploadQuota({ quotaKeys: reserved, files, bytes, expiresAt });
+        throw error;
+    }
+    return { quotaKeys: reserved, files, bytes, expiresAt };
+}
+
+/**
+ * Gives back uploads that were reserved but never made.
+ * A failure is logged rather than thrown; it only leaves the quota lower.
+ * @param {Object|null} reservation - Reservation from reserveUploadQuota.
+ * @returns {Promise<void>}
+ */
+export async function releaseUploadQuota(reservation) {
+    if (!reservation) return;
+
+    const { quotaKeys, files, bytes, expiresAt } = reservation;
+    await Promise.all(quotaKeys.map(async quotaKey => {
+        try {
+            await addToQuota(quotaKey, -files, -bytes, null, expiresAt);
+        } catch (error) {
+            console.error(`Error releasing upload quota ${quotaKey}:`, error);
+        }
+    }));
+}
@@ -0,0 +1,52 @@
+/**
+ * Piece shapes and their kiln volume.
+ * Each shape lists the dimension fields it uses and, where a field means
+ * something else for that shape, the label to show for it (a cylinder's
+ * width is its diameter).
+ *
+ * `config.shapeBilling` decides how shaped pieces are charged:
+ *   - "boundingBox" bills the box the piece fits in, so a cylinder costs
+ *     diameter × diameter × height, as pieces were always billed
+ *   - "shape" bills the shape itself: π r² h for a cylinder, and footprint ×
+ *     `config.tileShelfHeight` for a flat tile, since a tile still takes a
+ *     full shelf gap however thin it is
+ */
+
+export const DEFAULT_SHAPE = 'box';
+
+export const SHAPES = {
+    box: { label: 'Box', dimensions: ['height', 'width', 'length'], labels: {} },
+    cylinder: { label: 'Cylinder', dimensions: ['height', 'width'], labels: { width: 'Diameter' } },
+    tile: { label: 'Flat Tile', dimensions: ['height', 'width', 'length'], labels: {} }
+};
+
+/**
+ * Returns the definition of a shape, falling back to a box.
+ * @param {string} [shape] - Shape key.
+ * @returns {Object} - label, dimensions and labels.
+ */
+export function getShape(shape) {
+    return SHAPES[shape] || SHAPES[DEFAULT_SHAPE];
+}
+
+/**
+ * Computes the billable volume of one piece.
+ * @param {Object} item - Line with shape, height, width and length in inches.
+ * @param {Object} config - Firing worksheet configuration.
+ * @returns {number} - Volume in cubic inches.
+ */
+export function getVolume(item, config) {
+    const height = item.height || 0;
+    const width = item.width || 0;
+    const length = item.length || 0;
+    const byShape = config.shapeBilling === 'shape';
+
+    switch (item.shape) {
+        case 'cylinder':
+            return byShape ? Math.PI * (width / 2) ** 2 * height : width * width * height;
+        case 'tile':
+            return byShape ? width * length * Math.max(height, config.tileShelfHeight || 0) : width * length * height;
+        default:
+            return height * width * length;
+    }
+}
@@ -0,0 +1,359 @@
+/**
+ * Spreadsheet import and export for the worksheet.
+ * Schools and production potters can fill in a CSV or XLSX file (see
+ * firing-worksheet-xlsx.js) instead of typing each row. The header row names
+ * the columns by label or name, in any order and case; lengths are read in
+ * the unit a header gives, e.g. "Height (cm)", or the worksheet's unit.
+ * Columns the file leaves out take their defaults, and computed columns are
+ * ignored, so an exported worksheet imports again as it was; that includes
+ * text the export escaped against running as a spreadsheet formula.
+ *
+ * Each row is checked with the same rules the worksheet applies to typed
+ * values. Rows with errors are reported by spreadsheet row number and left
+ * out; blank rows and the summary rows of an export, whose first cell is a
+ * label such as "Total Price:", are skipped.
+ */
+
+import { getLoadTypes } from './firing-worksheet-pricing.js';
+import { toISODate } from './firing-worksheet-calendar.js';
+import { validateDueDate } from './firing-worksheet-schema.js';
+import { getShape } from './firing-worksheet-shapes.js';
+import {
+    UNITS,
+    convertColumn,
+    convertLength,
+    fromCanonicalRate,
+    fromCanonicalVolume
+} from './firing-worksheet-units.js';
+import {
+    getColumnOptions,
+    isCustomColumn,
+    isInputColumn,
+    parseFieldValue,
+    validateFieldValue
+} from './firing-worksheet-columns.js';
+
+const DELIMITERS = [',', ';', '\t'];
+// Text a spreadsheet would run as a formula, after any apostrophes already escaping it
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+const LOAD_HEADERS = ['load', 'loadtype'];
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x'];
+const FALSE_VALUES = ['no', 'n', 'false', '0'];
+// Spreadsheet serial dates count days from 1899-12-30
+const SERIAL_DATE_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Parses CSV text. The delimiter (comma, semicolon or tab) is taken from the
+ * header line, and quoted cells may hold delimiters, quotes and line breaks.
+ * @param {string} text - CSV file contents.
+ * @returns {Array<Array<string>>} - Rows of cells.
+ */
+export function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r\n|\n|\r/, 1)[0];
+    const delimiter = DELIMITERS.reduce((best, candidate) => (
+        headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+    ));
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Formats a value as a CSV cell. Text that a spreadsheet would run as a
+ * formula is prefixed with an apostrophe, as is text that already starts with
+ * apostrophes before such a character, so unescapeCell can tell them apart.
+ * @param {*} value - Cell value.
+ * @returns {string} - CSV cell.
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Undoes toCsvCell's formula escape.
+ * @param {string} text - Cell text.
+ * @returns {string} - The text without the apostrophe an export put before it.
+ */
+function unescapeCell(text) {
+    return text.startsWith("'") && FORMULA_PATTERN.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Formats rows as CSV.
+ * @param {Array<Array<*>>} rows - Rows of cell values.
+ * @returns {string} - CSV text with CRLF line endings.
+ */
+export function toCsv(rows) {
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * @param {*} value - Text to normalize.
+ * @returns {string} - Lower-case text with only letters and digits, for matching headers and choices.
+ */
+function normalize(value) {
+    return String(value ?? '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Maps a header row to worksheet columns.
+ * @param {Array<string>} header - Header cells.
+ * @param {Array<Object>} columns - Resolved column schema, in inches.
+ * @returns {Array<Object|null>} - Per cell { column, unit } or { load: true }, or null if ignored.
+ */
+function mapHeader(header, columns) {
+    return header.map(cell => {
+        const [, name, unit] = /^(.*?)\s*(?:\(([^)]*)\))?\s*$/.exec(String(cell ?? ''));
+        const key = normalize(name);
+        if (!key) return null;
+        if (LOAD_HEADERS.includes(key)) return { load: true };
+
+        const column = columns.find(column => (
+            (isInputColumn(column) || column.type === 'firingType' || column.type === 'dueDate')
+            && (normalize(column.label) === key || normalize(column.name) === key)
+        ));
+        if (!column) return null;
+        return { column, unit: column.measure === 'length' && unit in UNITS ? unit : null };
+    });
+}
+
+/**
+ * Reads a due date cell, given as YYYY-MM-DD or a spreadsheet serial date.
+ * @param {string} raw - Cell text.
+ * @returns {string} - Due date as YYYY-MM-DD, or the text unchanged if it isn't a serial date.
+ */
+function parseDueDate(raw) {
+    if (!/^\d+(\.\d+)?$/.test(raw)) return raw;
+    return toISODate(new Date(SERIAL_DATE_EPOCH + Math.floor(Number(raw)) * MS_PER_DAY));
+}
+
+/**
+ * Reads an input column's cell the way the worksheet's control would.
+ * @param {Object} column - Column definition.
+ * @param {string} raw - Cell text.
+ * @returns {*} - Parsed value.
+ */
+function parseCell(column, raw) {
+    if (column.type === 'checkbox') {
+        const key = raw.toLowerCase();
+        if (!key || FALSE_VALUES.includes(key)) return false;
+        return TRUE_VALUES.includes(key) ? true : raw;
+    }
+    if (column.type === 'select') {
+        const option = getColumnOptions(column).find(option => (
+            normalize(option.value) === normalize(raw) || normalize(option.label) === normalize(raw)
+        ));
+        return option ? option.value : parseFieldValue(column, raw);
+    }
+    return parseFieldValue(column, raw);
+}
+
+/**
+ * Reads worksheet lines from spreadsheet rows.
+ * @param {Array<Array<string>>} rows - Rows of cells, the first being the header.
+ * @param {Object} options
+ * @param {Array<Object>} options.columns - Resolved column schema, in inches.
+ * @param {Object} options.config - Firing worksheet configuration.
+ * @param {string} options.unit - Unit the worksheet's lengths are entered in.
+ * @param {Object} [options.firingCalendar] - Upcoming firings with room, per scheduled firing type.
+ * @param {Date} [options.now] - Reference date.
+ * @returns {Object} - { lines, errors }: line values for the worksheet, with lengths
+ *     in `unit`, and [{ row, column, message }] for rows that were left out.
+ */
+export function importWorksheetRows(rows, { columns, config, unit, firingCalendar = {}, now = new Date() }) {
+    const [header = [], ...dataRows] = rows;
+    const mapping = mapHeader(header, columns);
+    if (!mapping.some(entry => entry && entry.column)) {
+        return { lines: [], errors: [{ row: 1, column: null, message: 'No worksheet columns found in the header row' }] };
+    }
+
+    const isBlank = row => row.every(cell => !String(cell ?? '').trim());
+    const isSummary = row => /:$/.test(String(row[0] ?? '').trim());
+    const count = dataRows.filter(row => !isBlank(row) && !isSummary(row)).length;
+    if (count > config.maxImportRows) {
+        return { lines: [], errors: [{ row: null, column: null, message: `Up to ${config.maxImportRows} rows can be imported at once` }] };
+    }
+
+    const lines = [];
+    const errors = [];
+    const firingTypes = Object.keys(config.firingOptions);
+    dataRows.forEach((row, index) => {
+        if (isBlank(row) || isSummary(row)) return;
+
+        const rowNumber = index + 2;
+        const cells = new Map();
+        let loadCell;
+        mapping.forEach((entry, cellIndex) => {
+            const raw = unescapeCell(String(row[cellIndex] ?? '').trim());
+            if (entry && entry.load) loadCell = raw;
+            else if (entry) cells.set(entry.column.name, { ...entry, raw });
+        });
+
+        const rowErrors = [];
+        const report = (column, message) => rowErrors.push({ row: rowNumber, column: column.label, message });
+        const values = { fields: {} };
+
+        const firingTypeColumn = columns.find(column => column.type === 'firingType');
+        const firingTypeCell = cells.get(firingTypeColumn && firingTypeColumn.name);
+        if (firingTypeCell) {
+            values.firingType = firingTypes.find(type => normalize(type) === normalize(firingTypeCell.raw));
+            if (!firingTypeCell.raw) report(firingTypeColumn, 'Field required');
+            else if (!values.firingType) report(firingTypeColumn, 'Unknown firing type');
+        } else {
+            values.firingType = firingTypes[0];
+        }
+
+        const loadTypes = getLoadTypes(values.firingType, config);
+        if (loadCell && loadTypes.length) {
+            values.loadType = loadTypes.find(load => normalize(load) === normalize(loadCell));
+            if (!values.loadType) rowErrors.push({ row: rowNumber, column: 'Load', message: 'Unknown load type' });
+        }
+
+        const shapeCell = cells.get('shape');
+        const shapeColumn = shapeCell && shapeCell.column;
+        const { dimensions } = getShape(shapeColumn ? parseCell(shapeColumn, shapeCell.raw) : undefined);
+        columns.filter(isInputColumn).forEach(column => {
+            const cell = cells.get(column.name);
+            if (!cell) return;
+            if (column.measure === 'length' && !isCustomColumn(column) && !dimensions.includes(column.name)) return;
+
+            // Lengths are checked in the unit they were given in, then converted
+            const cellUnit = column.measure === 'length' ? cell.unit || unit : null;
+            const checked = cellUnit ? convertColumn(column, cellUnit) : column;
+            const value = parseCell(checked, cell.raw);
+            const error = validateFieldValue(checked, value);
+            if (error) {
+                report(checked, error);
+                return;
+            }
+            const converted = cellUnit ? convertLength(value, cellUnit, unit, convertColumn(column, unit)) : value;
+            if (isCustomColumn(column)) values.fields[column.name] = converted;
+            else values[column.name] = converted;
+        });
+
+        // An empty due date gets the worksheet's default, as on a new row
+        const dueDateCell = columns.filter(column => column.type === 'dueDate')
+            .map(column => cells.get(column.name)).find(Boolean);
+        if (dueDateCell && dueDateCell.raw) {
+            const dueDate = parseDueDate(dueDateCell.raw);
+            const firings = firingCalendar[values.firingType];
+            const error = validateDueDate(dueDate, config, now)
+                || (firings && !firings.some(({ date }) => date === dueDate) ? 'No firing with room on that date' : null);
+            if (error) report(dueDateCell.column, error);
+            else values.dueDate = dueDate;
+        }
+
+        if (rowErrors.length) errors.push(...rowErrors);
+        else lines.push(values);
+    });
+    return { lines, errors };
+}
+
+/**
+ * Builds the rows of a worksheet export: a header, one row per line with its
+ * computed unit cost, volume and price, then the worksheet's totals below a
+ * blank row.
+ * @param {Array<Object>} lineItems - Worksheet lines, with lengths as entered.
+ * @param {Object} pricing - Result of priceWorksheet for the lines.
+ * @param {Object} options
+ * @param {Array<Object>} options.columns - Column schema converted to the worksheet's unit.
+ * @param {string} options.unit - Unit the lengths are entered in.
+ * @param {Object} options.config - Firing worksheet configuration.
+ * @returns {Array<Array<*>>} - Rows of cell values.
+ */
+export function exportWorksheetRows(lineItems, pricing, { columns, unit, config }) {
+    const exported = columns.filter(column => !['photos', 'preview', 'delete'].includes(column.type));
+    const withLoad = Object.keys(config.firingOptions).some(type => getLoadTypes(type, config).length);
+
+    const header = exported.flatMap(column => {
+        if (column.type === 'firingType' && withLoad) return [column.label, 'Load'];
+        return [column.name === 'price' ? `${column.label} (${config.currency})` : column.label];
+    });
+
+    const rows = lineItems.map((item, index) => {
+        const line = pricing.lines[index];
+        const { dimensions } = getShape(item.shape);
+        return exported.flatMap(column => {
+            const value = isCustomColumn(column) ? item.fields[column.name] : item[column.name];
+            switch (column.type) {
+                case 'firingType':
+                    return withLoad ? [item.firingType, item.loadType || ''] : [item.firingType];
+                case 'computed':
+                    if (column.name === 'unitCost') return [Math.round(fromCanonicalRate(line.unitCost, unit) * 10000) / 10000];
+                    if (column.name === 'volume') return [Math.round(fromCanonicalVolume(line.volume, unit))];
+                    if (column.name === 'price') return [line.linePrice];
+                    return [''];
+                case 'select': {
+                    const option = getColumnOptions(column).find(option => option.value === value);
+                    return [option ? option.label : value];
+                }
+                case 'checkbox':
+                    return [value ? 'Yes' : 'No'];
+                default:
+                    if (column.measure === 'length' && !isCustomColumn(column) && !dimensions.includes(column.name)) return [''];
+                    return [value];
+            }
+        });
+    });
+
+    // Totals go in the price column, labelled in the first
+    const priceIndex = header.findIndex((label, index) => index > 0 && exported.some(column => (
+        column.name === 'price' && label.startsWith(column.label)
+    )));
+    const { subtotal, discounts, fees, tax, total } = pricing;
+    const totals = [['Subtotal:', subtotal]];
+    discounts.forEach(({ label, amount }) => totals.push([`${label}:`, -amount]));
+    fees.forEach(({ label, amount }) => totals.push([`${label}:`, amount]));
+    if (tax) totals.push([`${tax.label} (${tax.rate}%):`, tax.amount]);
+    totals.push(['Total Price:', total]);
+
+    return [
+        header,
+        ...rows,
+        [],
+        ...totals.map(([label, amount]) => {
+            const row = new Array(header.length).fill('');
+            row[0] = label;
+            row[Math.max(priceIndex, 1)] = amount;
+            return row;
+        })
+    ];
+}
@@ -0,0 +1,212 @@
+import { Permissions, webMethod } from "wix-web-module";
+import { orders } from "wix-ecom-backend";
+import { elevate } from "wix-auth";
+import wixData from "wix-data";
+import { getConfig } from "./firing-worksheet-config.js";
+import { APP_ID, parseCatalogItemId } from "./firing-worksheet-ids.js";
+import { AWAITING_STATUS, groupFiringLines, isLineStatus } from "./firing-worksheet-intake.js";
+import { notifyStatusChange } from "./firing-worksheet-notifications.js";
+
+const STATUSES_COLLECTION = "FiringLineStatuses";
+const ORDERS_PAGE_SIZE = 100;
+const STATUS_QUERY_SIZE = 1000;
+const LINE_KEY_PATTERN = /^[A-Za-z0-9-]{1,64}:[A-Za-z0-9-]{1,64}$/;
+const MAX_NOTE_LENGTH = 500;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Lists the firing lines of paid orders for the staff dashboard, grouped
+ * into firings. Only orders placed within config.dashboardDaysBack are read.
+ * The host page passes the result to the dashboard's `firings` attribute.
+ * @returns {Promise<Array<Object>>} - Firings from groupFiringLines; each line has a
+ *     key, a tagCode for its pickup tag, its order, worksheet and line IDs, the
+ *     piece's details, photo URLs, status, statusNote and statusUpdatedAt.
+ */
+export const listFiringLines = webMethod(Permissions.Admin, async () => {
+    const config = getConfig();
+    const since = new Date(Date.now() - config.dashboardDaysBack * MS_PER_DAY);
+    const paidOrders = await searchPaidOrders(since);
+
+    const lines = paidOrders.flatMap(order => (order.lineItems || [])
+        .filter(isFiringLineItem)
+        .map(lineItem => toFiringLine(order, lineItem)));
+
+    const statuses = await getLineStatuses(lines.map(({ key }) => key));
+    lines.forEach(line => {
+        const record = statuses.get(line.key);
+        line.status = record ? record.status : AWAITING_STATUS;
+        line.statusNote = record ? record.note || "" : "";
+        line.statusUpdatedAt = record ? record.updatedAt : null;
+    });
+    return groupFiringLines(lines, config);
+});
+
+/**
+ * Records a firing line's studio status and tells the customer about it, see
+ * firing-worksheet-notifications.js. Setting the status a line already has
+ * only updates its note. Notifications that can't be sent are reported but
+ * don't undo the update.
+ * The host page calls this for the dashboard's `updateLineStatus` event and
+ * passes the result, or { key, error }, to its `line-status` attribute.
+ * @param {string} key - Line key from listFiringLines.
+ * @param {string} status - New status, see LINE_STATUSES.
+ * @param {string} [note] - Note for the customer, e.g. what the problem is.
+ * @returns {Promise<Object>} - { key, status, note, updatedAt, notifications }, where
+ *     notifications lists { channel, result } for each message tried.
+ */
+export const setFiringLineStatus = webMethod(Permissions.Admin, async (key, status, note = "") => {
+    if (!LINE_KEY_PATTERN.test(typeof key === "string" ? key : "")) {
+        throw new Error("Unknown firing line");
+    }
+    if (!isLineStatus(status)) {
+        throw new Error(`Unknown status: ${status}`);
+    }
+    if (typeof note !== "string" || note.length > MAX_NOTE_LENGTH) {
+        throw new Error(`Note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    const previous = await wixData.get(STATUSES_COLLECTION, key, { suppressAuth: true });
+    const record = await wixData.save(
+        STATUSES_COLLECTION,
+        { _id: key, status, note: note.trim(), updatedAt: new Date() },
+        { suppressAuth: true }
+    );
+
+    const changed = (previous ? previous.status : AWAITING_STATUS) !== status;
+    const notifications = changed ? await notifyCustomer(key, status, record.note) : [];
+    return { key, status: record.status, note: record.note, updatedAt: record.updatedAt, notifications };
+});
+
+/**
+ * Notifies the customer who ordered a firing line of its new status.
+ * @param {string} key - Line key from listFiringLines.
+ * @param {string} status - New status.
+ * @param {string} note - Note for the customer.
+ * @returns {Promise<Array<Object>>} - Results from notifyStatusChange; a single
+ *     failed result if the order can't be read.
+ */
+async function notifyCustomer(key, status, note) {
+    const [orderId, lineItemId] = key.split(":");
+    try {
+        const order = await elevate(orders.getOrder)(orderId);
+        const lineItem = (order.lineItems || []).find(lineItem => lineItem._id === lineItemId);
+        if (!lineItem || !isFiringLineItem(lineItem)) {
+            throw new Error(`Order ${orderId} has no firing line ${lineItemId}`);
+        }
+        return await notifyStatusChange(toFiringLine(order, lineItem), getRecipient(order), status, note);
+    } catch (error) {
+        console.error(`Error notifying customer of firing line ${key}:`, error);
+        return [{ channel: null, result: "failed", error: error.message }];
+    }
+}
+
+/**
+ * Reads every paid order placed since a date.
+ * @param {Date} since - Earliest order date.
+ * @returns {Promise<Array<Object>>} - Orders.
+ */
+async function searchPaidOrders(since) {
+    const searchOrders = elevate(orders.searchOrders);
+    const found = [];
+    let cursor = null;
+    do {
+        const { orders: page, metadata } = await searchOrders({
+            filter: { paymentStatus: { $eq: "PAID" }, _createdDate: { $gte: since.toISOString() } },
+            cursorPaging: cursor ? { limit: ORDERS_PAGE_SIZE, cursor } : { limit: ORDERS_PAGE_SIZE },
+        });
+        found.push(...page);
+        cursor = metadata && metadata.hasNext ? metadata.cursors.next : null;
+    } while (cursor);
+    return found;
+}
+
+/**
+ * @param {Object} lineItem - Order line item.
+ * @returns {boolean} - Whether the line is a worksheet piece rather than a fee or another app's item.
+ */
+function isFiringLineItem(lineItem) {
+    const reference = lineItem.catalogReference || {};
+    return reference.appId === APP_ID && Boolean(parseCatalogItemId(reference.catalogItemId));
+}
+
+/**
+ * Reads a description line of an order line item.
+ * @param {Object} lineItem - Order line item.
+ * @param {string} name - Description line name, e.g. "Due Date".
+ * @returns {string|null} - Its text, if present.
+ */
+function getDescription(lineItem, name) {
+    const line = (lineItem.descriptionLines || []).find(line => line.name && line.name.original === name);
+    return line && line.plainText ? line.plainText.original : null;
+}
+
+/**
+ * Builds a dashboard line from a paid order's worksheet line.
+ * Orders placed before lines carried DueDate, Volume and Photos options fall
+ * back to the description text and first image.
+ * @param {Object} order - Paid order.
+ * @param {Object} lineItem - One of its worksheet lines.
+ * @returns {Object} - Firing line.
+ */
+function toFiringLine(order, lineItem) {
+    const reference = lineItem.catalogReference;
+    const options = reference.options || {};
+    const { worksheetId, lineId } = parseCatalogItemId(reference.catalogItemId);
+    const contact = (order.billingInfo && order.billingInfo.contactDetails) || {};
+    return {
+        key: `${order._id}:${lineItem._id}`,
+        // Short enough for a barcode, and unlike the line ID never shared by two orders
+        tagCode: `${order.number}-${order.lineItems.indexOf(lineItem) + 1}`,
+        orderId: order._id,
+        orderNumber: order.number,
+        customer: [contact.firstName, contact.lastName].filter(Boolean).join(" ")
+            || (order.buyerInfo && order.buyerInfo.email) || "",
+        worksheetId,
+        lineId,
+        firingType: options.Type,
+        loadType: options.Load || null,
+        shape: options.Shape || null,
+        height: options.Height || "",
+        width: options.Width || "",
+        length: options.Length || "",
+        dueDate: options.DueDate || getDescription(lineItem, "Due Date"),
+        quantity: lineItem.quantity,
+        volume: Number(options.Volume) || 0,
+        specialDirections: getDescription(lineItem, "Special Directions") || "",
+        photos: (options.Photos || options.Image || "").split(" ").filter(Boolean),
+    };
+}
+
+/**
+ * Reads who to notify about an order.
+ * @param {Object} order - Paid order.
+ * @returns {Object} - { memberId, contactId, firstName, email, phone } of the buyer.
+ */
+function getRecipient(order) {
+    const buyer = order.buyerInfo || {};
+    const contact = (order.billingInfo && order.billingInfo.contactDetails) || {};
+    return {
+        memberId: buyer.memberId || null,
+        contactId: buyer.contactId || null,
+        firstName: contact.firstName || "",
+        email: buyer.email || null,
+        phone: contact.phone || null,
+    };
+}
+
+/**
+ * Reads the recorded statuses of firing lines.
+ * @param {Array<string>} keys - Line keys.
+ * @returns {Promise<Map<string, Object>>} - Status records by line key.
+ */
+async function getLineStatuses(keys) {
+    const statuses = new Map();
+    for (let start = 0; start < keys.length; start += STATUS_QUERY_SIZE) {
+        const { items } = await wixData.query(STATUSES_COLLECTION)
+            .hasSome("_id", keys.slice(start, start + STATUS_QUERY_SIZE))
+            .limit(STATUS_QUERY_SIZE)
+            .find({ suppressAuth: true });
+        items.forEach(record => statuses.set(record._id, record));
+    }
+    return statuses;
+}
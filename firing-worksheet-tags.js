@@ -0,0 +1,145 @@
+/**
+ * Printable pickup tags for paid firing lines.
+ * Each tag carries a Code 128 barcode of the line's tag code, its order number
+ * and position in the order (e.g. "10042-3"), so staff can scan a piece on the
+ * shelf and find its line in the staff dashboard. Line IDs aren't used, since
+ * a resubmitted worksheet keeps them and two orders can share one. Code 128
+ * reads with any handheld scanner, which types the code followed by Enter.
+ *
+ * The sheet is a standalone HTML document laid out for printing, so it can be
+ * opened in a new tab or saved as PDF from the browser's print dialog.
+ */
+
+import { describePiece } from './firing-worksheet-intake.js';
+import { toImageSrc } from './firing-worksheet-images.js';
+
+// Bar and space widths of each Code 128 symbol, by symbol value
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+const QUIET_ZONE_MODULES = 10;
+
+/**
+ * Encodes text as a Code 128 (code set B) barcode.
+ * @param {string} text - Printable ASCII text.
+ * @returns {Array<number>} - Widths in modules, alternating bar and space, starting with a bar.
+ */
+export function encodeCode128(text) {
+    const values = Array.from(String(text), char => {
+        const code = char.charCodeAt(0);
+        if (code < 32 || code > 126) {
+            throw new Error(`Can't encode ${JSON.stringify(char)} in a barcode`);
+        }
+        return code - 32;
+    });
+    const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), CODE128_START_B) % 103;
+
+    return [CODE128_START_B, ...values, checksum, CODE128_STOP]
+        .flatMap(value => Array.from(CODE128_PATTERNS[value], Number));
+}
+
+/**
+ * Draws a Code 128 barcode as SVG.
+ * @param {string} text - Printable ASCII text.
+ * @param {Object} [options] - { moduleWidth, height } in pixels.
+ * @returns {string} - SVG markup, including quiet zones either side.
+ */
+export function renderBarcodeSvg(text, { moduleWidth = 2, height = 50 } = {}) {
+    let x = QUIET_ZONE_MODULES;
+    const bars = [];
+    encodeCode128(text).forEach((width, index) => {
+        if (index % 2 === 0) bars.push(`<rect x="${x * moduleWidth}" width="${width * moduleWidth}" height="${height}"/>`);
+        x += width;
+    });
+    const totalWidth = (x + QUIET_ZONE_MODULES) * moduleWidth;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${totalWidth}" height="${height}" viewBox="0 0 ${totalWidth} ${height}" role="img" aria-label="${escapeHtml(text)}">${bars.join('')}</svg>`;
+}
+
+/**
+ * Escapes text for HTML content and attribute values.
+ * @param {*} value - Text to escape.
+ * @returns {string} - Escaped text.
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Builds one line's tag.
+ * @param {Object} line - Firing line from listFiringLines.
+ * @returns {string} - Tag markup.
+ */
+function renderTag(line) {
+    const [photo] = line.photos || [];
+    const details = [
+        ['Order', `#${line.orderNumber}`],
+        ['Firing', line.firingType],
+        ['Piece', describePiece(line)],
+        ['Quantity', line.quantity],
+        ['Due', line.dueDate || 'No due date'],
+        ['Directions', line.specialDirections]
+    ].filter(([, value]) => value !== '' && value !== null && value !== undefined);
+
+    return `
+        <section class="tag">
+            <header>
+                <strong>${escapeHtml(line.customer)}</strong>
+                ${photo ? `<img src="${escapeHtml(toImageSrc(photo))}" alt="">` : ''}
+            </header>
+            <dl>
+                ${details.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('')}
+            </dl>
+            <figure>
+                ${renderBarcodeSvg(line.tagCode, { moduleWidth: 1.5, height: 40 })}
+                <figcaption>${escapeHtml(line.tagCode)}</figcaption>
+            </figure>
+        </section>`;
+}
+
+/**
+ * Builds a printable sheet of pickup tags, one per firing line.
+ * @param {Array<Object>} lines - Firing lines from listFiringLines.
+ * @param {Object} [options] - { title } of the sheet.
+ * @returns {string} - HTML document that opens the print dialog once loaded.
+ */
+export function renderTagSheet(lines, { title = 'Pickup tags' } = {}) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        @page { margin: 0.4in; }
+        body { font-family: Arial, sans-serif; margin: 0; color: #000; }
+        .tags { display: flex; flex-wrap: wrap; gap: 0.2in; }
+        .tag { width: 3.4in; padding: 0.15in; border: 1px dashed #999; box-sizing: border-box; break-inside: avoid; }
+        .tag header { display: flex; justify-content: space-between; align-items: flex-start; gap: 8px; font-size: 16px; }
+        .tag img { width: 0.8in; height: 0.8in; object-fit: cover; border-radius: 4px; }
+        .tag dl { display: grid; grid-template-columns: auto 1fr; gap: 2px 8px; margin: 8px 0; font-size: 12px; }
+        .tag dt { font-weight: bold; }
+        .tag dd { margin: 0; overflow-wrap: anywhere; }
+        .tag figure { margin: 0; text-align: center; }
+        .tag figcaption { font-family: monospace; font-size: 12px; letter-spacing: 2px; }
+    </style>
+</head>
+<body onload="window.print()">
+    <div class="tags">${lines.map(renderTag).join('')}
+    </div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,122 @@
+/**
+ * Measurement units for the worksheet.
+ * Pricing, kiln capacity and the backend all work in the canonical unit,
+ * inches (volumes in cubic inches, rates per cubic inch). The component lets
+ * the customer enter dimensions in another unit and converts at the edges, so
+ * limits and rates configured in inches apply unchanged.
+ *
+ * Columns opt in to conversion with a `measure`:
+ *   - "length" columns are entered in the chosen unit; min and max convert
+ *   - "volume" columns display cubic units
+ *   - "rate" columns display a price per cubic unit
+ */
+
+export const CANONICAL_UNIT = 'in';
+
+export const UNITS = {
+    in: { label: 'in', name: 'Inches', volumeLabel: 'in³', inchesPerUnit: 1 },
+    cm: { label: 'cm', name: 'Centimetres', volumeLabel: 'cm³', inchesPerUnit: 1 / 2.54 }
+};
+
+// Canonical lengths are rounded so the component and backend price the same numbers
+const CANONICAL_PRECISION = 10000;
+
+/**
+ * Returns the definition of a unit, falling back to the canonical unit.
+ * @param {string} unit - Unit key, e.g. "in" or "cm".
+ * @returns {Object} - label, name, volumeLabel and inchesPerUnit.
+ */
+export function getUnit(unit) {
+    return UNITS[unit] || UNITS[CANONICAL_UNIT];
+}
+
+/**
+ * Converts a length entered in a unit to inches.
+ * @param {number|null} value - Length in the given unit.
+ * @param {string} unit - Unit key.
+ * @returns {number|null} - Length in inches.
+ */
+export function toCanonicalLength(value, unit) {
+    if (value === null || value === undefined) return value;
+    return Math.round(value * getUnit(unit).inchesPerUnit * CANONICAL_PRECISION) / CANONICAL_PRECISION;
+}
+
+/**
+ * Converts a length in inches to a unit.
+ * @param {number|null} value - Length in inches.
+ * @param {string} unit - Unit key.
+ * @returns {number|null} - Length in the given unit.
+ */
+export function fromCanonicalLength(value, unit) {
+    if (value === null || value === undefined) return value;
+    return value / getUnit(unit).inchesPerUnit;
+}
+
+/**
+ * Converts a volume in cubic inches to cubic units.
+ * @param {number} volume - Volume in cubic inches.
+ * @param {string} unit - Unit key.
+ * @returns {number} - Volume in the given cubic unit.
+ */
+export function fromCanonicalVolume(volume, unit) {
+    return volume / getUnit(unit).inchesPerUnit ** 3;
+}
+
+/**
+ * Converts a price per cubic inch to a price per cubic unit.
+ * @param {number} rate - Price per cubic inch.
+ * @param {string} unit - Unit key.
+ * @returns {number} - Price per cubic unit.
+ */
+export function fromCanonicalRate(rate, unit) {
+    return rate * getUnit(unit).inchesPerUnit ** 3;
+}
+
+/**
+ * Adapts a column definition to a unit: labels gain the unit and length
+ * limits are converted, rounded inwards so converted limits stay within the
+ * canonical ones.
+ * @param {Object} column - Resolved column definition.
+ * @param {string} unit - Unit key.
+ * @returns {Object} - Column definition for display and validation in that unit.
+ */
+export function convertColumn(column, unit) {
+    const { label, volumeLabel } = getUnit(unit);
+    switch (column.measure) {
+        case 'length': {
+            const converted = { ...column, label: `${column.label} (${label})` };
+            if (column.min !== undefined) converted.min = Math.ceil(fromCanonicalLength(column.min, unit));
+            if (column.max !== undefined) converted.max = Math.floor(fromCanonicalLength(column.max, unit));
+            if (converted.default !== undefined && converted.default !== null) {
+                converted.default = Math.max(Math.round(fromCanonicalLength(column.default, unit)), converted.min ?? 0);
+            }
+            return converted;
+        }
+        case 'volume':
+            return { ...column, label: `${column.label} (${volumeLabel})` };
+        case 'rate':
+            return { ...column, label: `${column.label} (per ${volumeLabel})` };
+        default:
+            return column;
+    }
+}
+
+/**
+ * Converts a length from one unit to another at a column's precision,
+ * clamped to the column's limits in the target unit.
+ * @param {number|null} value - Length in fromUnit.
+ * @param {string} fromUnit - Unit the value is in.
+ * @param {string} toUnit - Unit to convert to.
+ * @param {Object} column - Column definition already converted to toUnit.
+ * @returns {number|null} - Converted length.
+ */
+export function convertLength(value, fromUnit, toUnit, column) {
+    if (value === null || value === undefined || fromUnit === toUnit) return value;
+
+    let converted = fromCanonicalLength(toCanonicalLength(value, fromUnit), toUnit);
+    const factor = 10 ** (column.integer ? 0 : column.precision ?? 2);
+    converted = Math.round(converted * factor) / factor;
+    if (column.min !== undefined) converted = Math.max(converted, column.min);
+    if (column.max !== undefined) converted = Math.min(converted, column.max);
+    return converted;
+}
@@ -2,173 +2,889 @@ import { Permissions, webMethod } from "wix-web-module";
 import { currentCart, cart } from "wix-ecom-backend";
 import { elevate } from "wix-auth";
 import { mediaManager } from "wix-media-backend";
+import wixData from "wix-data";
+import { randomUUID } from "crypto";
+import { currentMember } from "wix-members-backend";
+import { getConfig } from "./firing-worksheet-config.js";
+import { priceWorksheet } from "./firing-worksheet-pricing.js";
+import { findPromotion } from "./firing-worksheet-promotions.js";
+import { getAvailableFirings, getEarliestDueDate, getFiringSchedule, listFiringDates } from "./firing-worksheet-calendar.js";
+import { detectImageMimeType, getBase64Size, IMAGE_EXTENSIONS, MAX_IMAGE_BYTES } from "./firing-worksheet-images.js";
+import { isCustomColumn, resolveColumns } from "./firing-worksheet-columns.js";
+import { CANONICAL_UNIT, getUnit } from "./firing-worksheet-units.js";
+import { getShape } from "./firing-worksheet-shapes.js";
+import { createCurrencyFormatter, toPriceString } from "./firing-worksheet-currency.js";
+import { APP_ID, LINE_ID_PATTERN, toCatalogItemId } from "./firing-worksheet-ids.js";
+import { validatePhotos, validateWorksheetLine } from "./firing-worksheet-schema.js";
+import {
+    checkRateLimit,
+    createSession,
+    getActiveSession,
+    issueUploadToken,
+    getOwner,
+    LimitError,
+    redeemUploadToken,
+    releaseUploadQuota,
+    reserveUploadQuota,
+} from "./firing-worksheet-sessions.js";
+import { listWorksheetRecords, saveWorksheetRecord, toWorksheetRecord } from "./firing-worksheet-history.js";
+import {
+    commitFiringCapacity,
+    getReservedVolume,
+    holdFiringCapacity,
+    releaseFiringCapacity,
+} from "./firing-worksheet-reservations.js";
+import { getPreferences, savePreferences } from "./firing-worksheet-notifications.js";
 
-const APP_ID = "97ed05e3-04ed-4095-af45-90587bfed9f0";
+const PRICE_TOLERANCE = 0.005;
+const UPLOAD_FOLDER = "/firing-worksheet-Uploads";
+const UPLOAD_ATTEMPTS = 3;
+const UPLOAD_RETRY_DELAY_MS = 500;
+const MAX_FIELD_TEXT_LENGTH = 200;
+const WORKSHEET_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const SUBMISSIONS_COLLECTION = "FiringSubmissions";
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9-]{8,128}$/;
+const SUBMISSION_LOCK_MS = 2 * 60 * 1000;
+const SUBMISSION_RESULT_MS = 15 * 60 * 1000;
+
+/**
+ * A failed submission, reported back to the worksheet with one entry per problem.
+ * Each entry has a type ("validation", "image", "cart" or "limit") and a message and,
+ * when it concerns a line, the line's position (line), its ID (lineId) and
+ * the field at fault, if known.
+ */
+class WorksheetError extends Error {
+    constructor(errors) {
+        super(errors.map(({ message }) => message).join("; "));
+        this.name = "WorksheetError";
+        this.errors = errors;
+    }
+}
 
 /**
  * Adds a worksheet's details to the current shopping cart.
+ * Lines from an earlier submission of the same worksheet are replaced; other
+ * worksheets and other apps' items in the cart are left alone. Either the
+ * whole worksheet goes into the cart or the cart is left as it was, and a
+ * submission repeated with the same idempotency key returns the first result
+ * instead of adding the worksheet again. The component makes a new key for
+ * each attempt, so only a retry of that attempt reuses it. The summary must name an active
+ * worksheet session, see startWorksheetSession. A logged-in member's
+ * worksheet is also kept in their order history, see listPastWorksheets.
  * @param {Array} worksheetData - Array of worksheet data to be added to the cart.
- * @returns {Promise<Object>} - Updated cart data.
+ * @param {Object} [summary] - The worksheet's summary from the submitWorksheet event:
+ *     worksheetId, sessionId, idempotencyKey, promoCode, member and the totals the customer was shown.
+ * @returns {Promise<Object>} - On success { ok: true, cart, uploads, worksheetId, errors }:
+ *     the updated cart, in worksheet order each line's photo upload status
+ *     ("uploaded", "failed" or "none") and media URLs, the ID the worksheet's
+ *     lines are tagged with, and any photos that failed to upload. On failure
+ *     { ok: false, errors }. The host page passes errors to the worksheet's
+ *     `submission-errors` attribute.
  */
 export const addWorksheetToCart = webMethod(
     Permissions.Anyone,
-    async (worksheetData) => {
+    async (worksheetData, summary) => {
+        let submission = null;
+        let photoQuota = null;
+        let firingHolds = null;
         try {
             console.log("Processing worksheet data:", worksheetData);
-            return await generateCustomLineItemsFromWorksheet(worksheetData);
+            if (summary !== undefined && summary !== null && (typeof summary !== "object" || Array.isArray(summary))) {
+                throw new WorksheetError([{ type: "validation", message: "The worksheet summary is not valid" }]);
+            }
+            summary = summary || {};
+            const session = await getActiveSession(summary.sessionId);
+            await checkRateLimit("submit", session.owner, getConfig());
+            validateWorksheet(worksheetData);
+            const options = await resolveWorksheetOptions(summary);
+
+            submission = await beginSubmission(summary.idempotencyKey);
+            if (submission && submission.status === "completed") {
+                console.log(`Submission ${submission._id} already completed, returning its result`);
+                return { ...submission.result, cart: await elevate(currentCart.getCurrentCart)() };
+            }
+
+            firingHolds = await checkFiringCapacity(worksheetData, options.worksheetId);
+            const priced = applyServerPricing(worksheetData, options);
+            photoQuota = await reservePhotoUploads(worksheetData, session);
+            const result = await generateCustomLineItemsFromWorksheet(priced, options);
+            await commitFiringCapacity(firingHolds, result.cart, options.worksheetId);
+
+            const response = { ok: true, ...result, worksheetId: options.worksheetId };
+            await completeSubmission(submission, response);
+            await recordWorksheet(priced, result, options);
+            return response;
         } catch (error) {
             console.error("Error adding worksheet to cart:", error);
-            throw new Error("Failed to add worksheet to cart");
+            await Promise.all([
+                abandonSubmission(submission),
+                releaseUploadQuota(photoQuota),
+                releaseFiringCapacity(firingHolds),
+            ]);
+            return { ok: false, errors: toSubmissionErrors(error) };
         }
     }
 );
 
+/**
+ * Lists the logged-in member's past worksheets, most recent first.
+ * The host page passes one of them to the worksheet's `reorder` attribute to
+ * load it as a new draft.
+ * @param {number} [limit] - Maximum number of worksheets.
+ * @returns {Promise<Array<Object>>} - Worksheets with worksheetId, submittedAt,
+ *     currency, unit, totals and lines carrying their final prices and mediaUrls.
+ */
+export const listPastWorksheets = webMethod(Permissions.SiteMember, async (limit) => {
+    const member = await currentMember.getMember();
+    if (!member) return [];
+
+    const records = await listWorksheetRecords(member._id, limit);
+    return records.map(({ _id, memberId, cartId, ...worksheet }) => worksheet);
+});
+
+/**
+ * Reads which status notifications the logged-in member gets, per channel.
+ * @returns {Promise<Object>} - { email: [statuses], sms: [statuses] }.
+ */
+export const getNotificationPreferences = webMethod(Permissions.SiteMember, async () => {
+    const member = await currentMember.getMember();
+    return getPreferences(member ? member._id : null);
+});
+
+/**
+ * Chooses which status notifications the logged-in member gets, per channel.
+ * Statuses without a message template are dropped.
+ * @param {Object} preferences - { email: [statuses], sms: [statuses] }.
+ * @returns {Promise<Object>} - The saved preferences.
+ */
+export const setNotificationPreferences = webMethod(Permissions.SiteMember, async (preferences) => {
+    const member = await currentMember.getMember();
+    if (!member) {
+        throw new Error("Log in to choose your notifications");
+    }
+    return savePreferences(member._id, preferences);
+});
+
+/**
+ * Lists the upcoming firings that still have capacity, per scheduled firing type.
+ * The host page passes the result to the worksheet's `firing-calendar` attribute.
+ * @returns {Promise<Object>} - Map of firing type to [{ date, capacity, remaining }].
+ */
+export const getFiringCalendar = webMethod(Permissions.Anyone, async () => {
+    const config = getConfig();
+    const fromDate = getEarliestDueDate(config);
+    const calendar = {};
+
+    await Promise.all(Object.keys(config.firingCalendar).map(async firingType => {
+        const reserved = await getReservedVolume(firingType, fromDate);
+        calendar[firingType] = getAvailableFirings(
+            firingType, reserved, fromDate, config.calendarDaysAhead, config
+        );
+    }));
+    return calendar;
+});
+
+/**
+ * Looks up a promo code the customer entered.
+ * The host page calls this from the worksheet's applyPromoCode event and
+ * passes the result to its `promotion` attribute. Lookups count against a
+ * rate limit, so codes can't be guessed by trying them all.
+ * @param {string} code - Code as entered.
+ * @param {string} sessionId - Active worksheet session.
+ * @returns {Promise<Object|null>} - { code, label, percent, amount }, or null if the code is unknown or expired.
+ * @throws {LimitError} - If the session has expired or is over its rate limit.
+ */
+export const validatePromoCode = webMethod(Permissions.Anyone, async (code, sessionId) => {
+    const session = await getActiveSession(sessionId);
+    await checkRateLimit("promo", session.owner, getConfig());
+    return findPromotion(code);
+});
+
+/**
+ * Starts a worksheet session, which submissions and uploads must name.
+ * The host page passes the session ID to the worksheet's `session` attribute.
+ * @param {string} [visitorId] - Random ID (8 to 64 letters, digits or dashes) the host
+ *     page keeps for the visitor, e.g. in local storage; required unless they are logged in.
+ * @returns {Promise<Object>} - { sessionId, expiresAt }.
+ * @throws {LimitError} - If there is no visitor ID, or too many sessions were started recently.
+ */
+export const startWorksheetSession = webMethod(Permissions.Anyone, async (visitorId) => {
+    const config = getConfig();
+    const member = await currentMember.getMember();
+    const memberId = member ? member._id : null;
+
+    const owner = getOwner(memberId, visitorId);
+    await checkRateLimit("session", owner, config);
+    const session = await createSession(owner, memberId, config);
+    return { sessionId: session._id, expiresAt: session.expiresAt };
+});
+
+/**
+ * Issues a single-use token for one uploadImage call.
+ * @param {string} sessionId - Active worksheet session.
+ * @returns {Promise<Object>} - { token, expiresAt }.
+ * @throws {LimitError} - If the session has expired or is over its rate limit.
+ */
+export const getUploadToken = webMethod(Permissions.Anyone, async (sessionId) => {
+    const session = await getActiveSession(sessionId);
+    await checkRateLimit("upload", session.owner, getConfig());
+    return issueUploadToken(session);
+});
+
 /**
  * Uploads an image to the Wix Media Manager.
+ * The image is checked against the worksheet's photo rules and counted
+ * against the session owner's upload quota before anything is stored.
+ * @param {string} buffer64 - Base64 string of the image buffer.
+ * @param {string} uploadToken - Token from getUploadToken.
+ * @returns {Promise<Object>} - Uploaded media details.
+ * @throws {LimitError} - If the token is not valid or the upload quota is used up.
+ */
+export const uploadImage = webMethod(Permissions.Anyone, async (buffer64, uploadToken) => {
+    const config = getConfig();
+    const session = await redeemUploadToken(uploadToken);
+    const error = validatePhotos([{ data: buffer64 }], config);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const quota = await reserveUploadQuota(session, 1, getBase64Size(buffer64), config);
+    try {
+        return await uploadFiringImage(buffer64);
+    } catch (uploadError) {
+        await releaseUploadQuota(quota);
+        throw uploadError;
+    }
+});
+
+/**
+ * Uploads a base64 image, naming and typing it from its actual contents.
  * @param {string} buffer64 - Base64 string of the image buffer.
  * @returns {Promise<Object>} - Uploaded media details.
  */
-export const uploadImage = webMethod(Permissions.Anyone, async (buffer64) => {
+async function uploadFiringImage(buffer64) {
+    if (typeof buffer64 !== "string" || getBase64Size(buffer64) > MAX_IMAGE_BYTES) {
+        throw new Error("Image is missing or exceeds 5MB");
+    }
+    const mimeType = detectImageMimeType(buffer64);
+    if (!mimeType) {
+        throw new Error("Unsupported image type");
+    }
+
     return mediaManager.upload(
-        "/firing-worksheet-Uploads",
-        buffer64,
-        `firing-${Date.now()}.png`,
+        UPLOAD_FOLDER,
+        Buffer.from(buffer64, "base64"),
+        `firing-${Date.now()}.${IMAGE_EXTENSIONS[mimeType]}`,
         {
             mediaOptions: {
-                mimeType: "image/png",
+                mimeType,
                 mediaType: "image",
             },
         }
     );
-});
+}
 
 /**
- * Processes worksheet data into custom line items with parallel image processing.
- * @param {Array} worksheetData - Array of worksheet data to be processed.
- * @returns {Promise<Array>} - Array of custom line items.
+ * Uploads an image, retrying transient failures with a growing delay.
+ * @param {string} buffer64 - Base64 string of the image buffer.
+ * @returns {Promise<Object>} - Uploaded media details.
+ */
+async function uploadWithRetry(buffer64) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await uploadFiringImage(buffer64);
+        } catch (error) {
+            if (attempt >= UPLOAD_ATTEMPTS || error.message === "Unsupported image type") {
+                throw error;
+            }
+            console.warn(`Image upload attempt ${attempt} failed, retrying:`, error);
+            await new Promise(resolve => setTimeout(resolve, UPLOAD_RETRY_DELAY_MS * attempt));
+        }
+    }
+}
+
+/**
+ * Builds an error entry for a worksheet line.
+ * @param {string} type - "validation", "image" or "cart".
+ * @param {number} index - Position of the line in the worksheet.
+ * @param {Object} item - The worksheet line.
+ * @param {string|null} field - Field at fault, if known.
+ * @param {string} message - Message for the customer.
+ * @returns {Object} - Error entry.
+ */
+function lineError(type, index, item, field, message) {
+    return { type, line: index, lineId: item?._id || null, field, message };
+}
+
+/**
+ * Converts a failed submission's error into the entries returned to the worksheet.
+ * @param {Error} error - Error thrown while adding the worksheet to the cart.
+ * @returns {Array<Object>} - Error entries, see WorksheetError.
+ */
+function toSubmissionErrors(error) {
+    if (error instanceof WorksheetError) return error.errors;
+    if (error instanceof LimitError) return [{ type: "limit", message: error.message }];
+    return [{ type: "cart", message: "Failed to add worksheet to cart" }];
+}
+
+/**
+ * Counts a worksheet's photos against the session owner's upload quota.
+ * If the submission then fails, the caller gives them back with releaseUploadQuota.
+ * @param {Array} worksheetData - Validated worksheet data.
+ * @param {Object} session - Active worksheet session.
+ * @returns {Promise<Object|null>} - The quota reservation, or null if there are no photos.
+ * @throws {LimitError} - If the photos don't fit in the quota.
  */
-async function processWorksheetData(worksheetData) {
+async function reservePhotoUploads(worksheetData, session) {
+    const photos = worksheetData.flatMap(item => item.photos || []);
+    if (!photos.length) return null;
+
+    const bytes = photos.reduce((total, photo) => total + getBase64Size(photo.data), 0);
+    return reserveUploadQuota(session, photos.length, bytes, getConfig());
+}
+
+/**
+ * Checks the whole payload against the worksheet schema before anything else
+ * happens, so a malformed submission never reaches pricing or the cart.
+ * @param {Array} worksheetData - Array of worksheet data from the client.
+ * @throws {WorksheetError} - Listing every invalid field of every line.
+ */
+function validateWorksheet(worksheetData) {
+    if (!Array.isArray(worksheetData) || !worksheetData.length) {
+        throw new WorksheetError([{ type: "validation", message: "The worksheet has no lines" }]);
+    }
+
+    const config = getConfig();
+    const columns = resolveColumns(config);
+    const now = new Date();
+    const errors = [];
+    const lineIds = new Set();
+    worksheetData.forEach((item, index) => {
+        const lineErrors = validateWorksheetLine(item, columns, config, now);
+        errors.push(...lineErrors.map(({ field, message }) => lineError("validation", index, item, field, message)));
+        if (!item || typeof item !== "object") return;
+
+        if (!LINE_ID_PATTERN.test(item._id || "")) {
+            errors.push(lineError("validation", index, item, null, "Line has no valid ID"));
+        } else if (lineIds.has(item._id)) {
+            errors.push(lineError("validation", index, item, null, `Line ID ${item._id} is used twice`));
+        }
+        lineIds.add(item._id);
+        if (item.currency && item.currency !== config.currency) {
+            errors.push(lineError("validation", index, item, "price",
+                `Priced in ${item.currency}, expected ${config.currency}`));
+        }
+    });
+    if (errors.length) throw new WorksheetError(errors);
+}
+
+/**
+ * Claims an idempotency key for a submission.
+ * The key is the record's _id, so of two simultaneous submissions only one
+ * can insert it. A pending claim older than SUBMISSION_LOCK_MS is assumed
+ * abandoned and taken over, and a completed one is only replayed until its
+ * expiresAt.
+ * @param {string} [key] - Idempotency key from the client.
+ * @returns {Promise<Object|null>} - The submission record, completed if the key was
+ *     already used successfully, or null if no usable key was given.
+ * @throws {WorksheetError} - If the same submission is still in progress.
+ */
+async function beginSubmission(key) {
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key || "")) return null;
+
+    const inProgress = new WorksheetError([{ type: "cart", message: "This worksheet is already being submitted" }]);
+    const existing = await wixData.get(SUBMISSIONS_COLLECTION, key, { suppressAuth: true });
+    if (existing) {
+        if (existing.status === "completed" && new Date(existing.expiresAt).getTime() > Date.now()) return existing;
+        if (existing.status !== "completed"
+            && Date.now() - new Date(existing._createdDate).getTime() < SUBMISSION_LOCK_MS) throw inProgress;
+        await wixData.remove(SUBMISSIONS_COLLECTION, key, { suppressAuth: true });
+    }
+
+    try {
+        return await wixData.insert(SUBMISSIONS_COLLECTION, { _id: key, status: "pending" }, { suppressAuth: true });
+    } catch (error) {
+        console.warn(`Submission ${key} was claimed by another request:`, error);
+        throw inProgress;
+    }
+}
+
+/**
+ * Records a submission's result so a repeat returns it for SUBMISSION_RESULT_MS.
+ * A result with failed photo uploads isn't kept: its key is released, so
+ * retrying the submission uploads them again.
+ * @param {Object|null} submission - Record from beginSubmission.
+ * @param {Object} response - Result returned to the client.
+ * @returns {Promise<void>}
+ */
+async function completeSubmission(submission, response) {
+    if (!submission) return;
+    if (response.errors.length) {
+        await abandonSubmission(submission);
+        return;
+    }
+
+    const { cart: updatedCart, ...result } = response;
     try {
-        // Start all image uploads in parallel
-        const imageUploadPromises = worksheetData
-            .filter(item => item.photoBuffer)
-            .map(async item => ({
-                _id: item._id,
-                imageData: await uploadImage(item.photoBuffer).catch(error => {
-                    console.error(`Failed to upload image for item ${item._id}:`, error);
-                    return null;
-                })
-            }));
-
-        // Wait for all image uploads to complete
-        const uploadedImages = await Promise.all(imageUploadPromises);
-        
-        // Create a map for quick image URL lookup
-        const imageUrlMap = new Map(
-            uploadedImages
-                .filter(({imageData}) => imageData !== null)
-                .map(({_id, imageData}) => [_id, imageData.fileUrl])
+        await wixData.update(
+            SUBMISSIONS_COLLECTION,
+            {
+                ...submission,
+                status: "completed",
+                cartId: updatedCart?._id || null,
+                expiresAt: new Date(Date.now() + SUBMISSION_RESULT_MS),
+                result,
+            },
+            { suppressAuth: true }
         );
+    } catch (error) {
+        console.error(`Error recording submission ${submission._id}:`, error);
+    }
+}
+
+/**
+ * Releases the idempotency key of a failed submission so it can be retried.
+ * @param {Object|null} submission - Record from beginSubmission.
+ * @returns {Promise<void>}
+ */
+async function abandonSubmission(submission) {
+    if (!submission || submission.status === "completed") return;
+
+    try {
+        await wixData.remove(SUBMISSIONS_COLLECTION, submission._id, { suppressAuth: true });
+    } catch (error) {
+        console.error(`Error releasing submission ${submission._id}:`, error);
+    }
+}
+
+/**
+ * Checks the worksheet-level options a customer submitted.
+ * An unknown or expired promo code is rejected; the member discount only
+ * applies if the caller really is a logged-in member. A worksheet without a
+ * usable ID gets a new one, so its lines are added alongside any others.
+ * @param {Object} summary - Worksheet summary from the client.
+ * @returns {Promise<Object>} - { worksheetId, submissionId, promoCode, promotion, member, memberId, total }.
+ *     submissionId tags this submission's cart lines so they never merge with earlier ones;
+ *     memberId is the logged-in member's ID, or null for visitors.
+ * @throws {WorksheetError} - If the promo code is not valid.
+ */
+async function resolveWorksheetOptions(summary) {
+    const worksheetId = WORKSHEET_ID_PATTERN.test(summary.worksheetId || "")
+        ? summary.worksheetId
+        : randomUUID();
+
+    const promotion = summary.promoCode ? findPromotion(summary.promoCode) : null;
+    if (summary.promoCode && !promotion) {
+        throw new WorksheetError([{ type: "validation", field: "promoCode", message: `Promo code ${summary.promoCode} is not valid` }]);
+    }
+    const promoCode = promotion ? promotion.code : null;
+
+    const currentMemberRecord = await currentMember.getMember();
+    const memberId = currentMemberRecord ? currentMemberRecord._id : null;
+    if (summary.member && !memberId) {
+        console.warn("Member discount requested by a visitor who is not logged in");
+    }
+    const member = Boolean(summary.member && memberId);
+    return { worksheetId, submissionId: randomUUID(), promoCode, promotion, member, memberId, total: summary.total };
+}
+
+/**
+ * Keeps a member's submitted worksheet in their order history.
+ * The worksheet is already in the cart, so a failure is only logged.
+ * @param {Object} priced - { worksheetData, pricing } from applyServerPricing.
+ * @param {Object} result - { cart, uploads } from generateCustomLineItemsFromWorksheet.
+ * @param {Object} options - Worksheet options from resolveWorksheetOptions.
+ * @returns {Promise<void>}
+ */
+async function recordWorksheet({ worksheetData, pricing }, { cart: updatedCart, uploads }, options) {
+    if (!options.memberId) return;
+
+    try {
+        const record = toWorksheetRecord(worksheetData, pricing, uploads, options, getConfig().currency);
+        await saveWorksheetRecord(options.memberId, updatedCart._id, record);
+    } catch (error) {
+        console.error(`Error recording worksheet ${options.worksheetId}:`, error);
+    }
+}
+
+/**
+ * Checks that every scheduled line falls on a firing date and holds room for
+ * it, see firing-worksheet-reservations.js. Lines for firing types without a
+ * schedule are not checked, and a worksheet being resubmitted to the same
+ * cart doesn't compete with its own earlier reservations.
+ * @param {Array} worksheetData - Array of worksheet data from the client.
+ * @param {string} worksheetId - ID of the worksheet being submitted.
+ * @returns {Promise<Array>} - Holds to commit once the cart is updated, or release if it isn't.
+ * @throws {WorksheetError} - Listing the lines whose firing is unavailable or full.
+ */
+async function checkFiringCapacity(worksheetData, worksheetId) {
+    const config = getConfig();
+    const fromDate = getEarliestDueDate(config);
+    const { lines } = priceWorksheet(worksheetData, config);
+    const existingCart = await elevate(currentCart.getCurrentCart)();
+
+    const requested = new Map();
+    const requestingLines = new Map();
+    worksheetData.forEach((item, index) => {
+        if (!getFiringSchedule(item.firingType, config)) return;
+
+        const key = `${item.firingType}|${item.dueDate}`;
+        const volume = lines[index].volume * lines[index].quantity;
+        const reservation = requested.get(key)
+            || { firingType: item.firingType, firingDate: item.dueDate, volume: 0 };
+        reservation.volume += volume;
+        requested.set(key, reservation);
+        requestingLines.set(key, [...(requestingLines.get(key) || []), index]);
+    });
+
+    const errors = [];
+    const reject = ({ firingType, firingDate }, message) => {
+        requestingLines.get(`${firingType}|${firingDate}`).forEach(index => {
+            errors.push(lineError("validation", index, worksheetData[index], "dueDate", message));
+        });
+    };
+    requested.forEach(request => {
+        const firingDates = listFiringDates(request.firingType, fromDate, config.calendarDaysAhead, config);
+        if (!firingDates.includes(request.firingDate)) {
+            reject(request, `No ${request.firingType} firing is scheduled on ${request.firingDate}`);
+        }
+    });
+    if (errors.length) throw new WorksheetError(errors);
+
+    const cartId = existingCart ? existingCart._id : null;
+    const { holds, full } = await holdFiringCapacity(Array.from(requested.values()), worksheetId, cartId, config);
+    full.forEach(request => {
+        reject(request, `The ${request.firingType} firing on ${request.firingDate} has only ${request.remaining} in³ left`);
+    });
+    if (errors.length) throw new WorksheetError(errors);
+    return holds;
+}
+
+/**
+ * Recomputes every line's price with the shared pricing engine.
+ * Submitted prices are never trusted: a line whose price differs from the
+ * computed one is corrected and logged. Lines are checked by validateWorksheet first.
+ * @param {Array} worksheetData - Array of worksheet data from the client.
+ * @param {Object} options - promotion, member and the total the customer was shown.
+ * @returns {Object} - { worksheetData, pricing }: lines carrying server-computed
+ *     prices (price before and discountedPrice after discounts) and the worksheet pricing.
+ */
+function applyServerPricing(worksheetData, options) {
+    const config = getConfig();
+    const pricing = priceWorksheet(worksheetData, config, new Date(), options);
+    const { lines } = pricing;
+
+    if (options.total !== undefined && Math.abs(Number(options.total) - pricing.total) > PRICE_TOLERANCE) {
+        console.warn(`Correcting worksheet total: submitted ${options.total}, computed ${pricing.total}`);
+    }
+
+    const pricedData = worksheetData.map((item, index) => {
+        const { unitCost, volume, unitPrice, discountedUnitPrice, rule, rushPremium, rushLabel } = lines[index];
+
+        if (Math.abs(Number(item.price) - unitPrice) > PRICE_TOLERANCE) {
+            console.warn(
+                `Correcting price for item ${item._id}: submitted ${item.price}, computed ${unitPrice}`
+            );
+        }
+
+        return {
+            ...item,
+            unitCost,
+            volume,
+            pricingRule: rule,
+            rushPremium,
+            rushLabel,
+            price: unitPrice,
+            discountedPrice: discountedUnitPrice,
+        };
+    });
+    return { worksheetData: pricedData, pricing };
+}
+
+/**
+ * Builds cart description lines for a line's custom fields.
+ * Labels come from the configured column schema; fields the schema doesn't
+ * know about (columns supplied only to the component) are shown by name.
+ * @param {Object} item - Worksheet line with custom values under fields.
+ * @param {Array<Object>} columns - Resolved column schema.
+ * @returns {Array<Object>} - Description lines.
+ */
+function describeCustomFields(item, columns) {
+    return Object.entries(item.fields || {})
+        .filter(([, value]) => value !== null && value !== undefined && value !== "")
+        .map(([name, value]) => {
+            const column = columns.find(column => column.name === name && isCustomColumn(column));
+            const text = typeof value === "boolean" ? (value ? "Yes" : "No") : String(value);
+            return {
+                name: { original: column ? column.label : name },
+                plainText: { original: text.slice(0, MAX_FIELD_TEXT_LENGTH) },
+            };
+        });
+}
+
+/**
+ * Formats a length for the cart, in inches and, when the customer used
+ * another unit, as they entered it.
+ * @param {Object} item - Worksheet line with lengths in inches and entered values under entered.
+ * @param {string} name - Field name, e.g. "height".
+ * @returns {string} - e.g. "30 cm (11.811 in)" or "12 in".
+ */
+function describeLength(item, name) {
+    const canonical = `${item[name]} ${getUnit(CANONICAL_UNIT).label}`;
+    const entered = item.entered || {};
+    if (!entered.unit || entered.unit === CANONICAL_UNIT || entered[name] === undefined) {
+        return canonical;
+    }
+    return `${entered[name]} ${getUnit(entered.unit).label} (${canonical})`;
+}
+
+/**
+ * Builds cart description lines for a line's shape and the dimensions it uses.
+ * @param {Object} item - Worksheet line.
+ * @returns {Array<Object>} - Description lines.
+ */
+function describeDimensions(item) {
+    const shape = getShape(item.shape);
+    return [
+        {
+            name: { original: "Shape" },
+            plainText: { original: shape.label },
+        },
+        ...shape.dimensions.map(name => ({
+            name: { original: shape.labels[name] || name.charAt(0).toUpperCase() + name.slice(1) },
+            plainText: { original: describeLength(item, name) },
+        })),
+    ];
+}
+
+/**
+ * Builds a custom line item for each worksheet fee.
+ * Fee items carry the worksheet's discounts and estimated tax as description
+ * lines, so the cart shows the same breakdown as the worksheet footer.
+ * @param {Object} pricing - Worksheet pricing from priceWorksheet.
+ * @param {Object} options - Worksheet options from resolveWorksheetOptions.
+ * @param {Function} formatPrice - Formats an amount in the worksheet currency.
+ * @returns {Array<Object>} - Fee line items.
+ */
+function generateFeeLineItems(pricing, options, formatPrice) {
+    const { currency } = getConfig();
+    const breakdown = [
+        {
+            name: { original: "Subtotal" },
+            plainText: { original: formatPrice(pricing.subtotal) },
+        },
+        ...pricing.discounts.map(({ label, amount }) => ({
+            name: { original: label },
+            plainText: { original: formatPrice(-amount) },
+        })),
+        ...(pricing.tax ? [{
+            name: { original: `${pricing.tax.label} (${pricing.tax.rate}%)` },
+            plainText: { original: formatPrice(pricing.tax.amount) },
+        }] : []),
+    ];
+
+    return pricing.fees.map(({ label, amount }) => ({
+        itemType: { custom: "custom" },
+        media: "",
+        price: toPriceString(amount, currency),
+        priceDescription: { original: formatPrice(amount) },
+        descriptionLines: breakdown,
+        productName: { original: label },
+        catalogReference: {
+            appId: APP_ID,
+            catalogItemId: `fee-${label.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`,
+            options: { Type: label, WorksheetId: options.worksheetId, SubmissionId: options.submissionId },
+        },
+        quantity: 1,
+    }));
+}
+
+/**
+ * Processes worksheet data into custom line items with parallel image processing.
+ * Worksheet fees follow the worksheet lines as items of their own.
+ * A photo that fails to upload doesn't stop the worksheet; it is reported as
+ * an image error and the line goes into the cart without it.
+ * @param {Object} priced - { worksheetData, pricing } from applyServerPricing.
+ * @param {Object} options - Worksheet options from resolveWorksheetOptions.
+ * @returns {Promise<Object>} - { customLineItems, uploads, errors }; uploads are in worksheet order.
+ */
+async function processWorksheetData({ worksheetData, pricing }, options) {
+    try {
+        // Upload all images in parallel, one result per line
+        const maxPhotos = getConfig().maxPhotosPerLine;
+        const uploads = await Promise.all(worksheetData.map(async item => {
+            const photos = (item.photos || []).slice(0, maxPhotos);
+            if (!photos.length) return { status: "none", mediaUrls: [] };
+
+            const mediaUrls = await Promise.all(photos.map(photo =>
+                uploadWithRetry(photo.data)
+                    .then(imageData => imageData.fileUrl)
+                    .catch(error => {
+                        console.error(`Failed to upload image for item ${item._id}:`, error);
+                        return null;
+                    })
+            ));
+            return {
+                status: mediaUrls.includes(null) ? "failed" : "uploaded",
+                mediaUrls: mediaUrls.filter(Boolean),
+            };
+        }));
+
+        const errors = [];
+        uploads.forEach((upload, index) => {
+            if (upload.status !== "failed") return;
+            const failed = Math.min((worksheetData[index].photos || []).length, maxPhotos) - upload.mediaUrls.length;
+            errors.push(lineError("image", index, worksheetData[index], "photoUpload",
+                `${failed} ${failed === 1 ? "photo" : "photos"} failed to upload`));
+        });
 
         // Create all line items
-        return worksheetData.map(item => ({
+        const config = getConfig();
+        const columns = resolveColumns(config);
+        const priceFormatter = createCurrencyFormatter(config.locale, config.currency);
+        const discountLabel = pricing.discounts.map(({ label }) => label).join(", ");
+        const customLineItems = worksheetData.map((item, index) => ({
             itemType: { custom: "custom" },
-            media: imageUrlMap.get(item._id) || "",
-            price: item.price.toString(),
-            priceDescription: { original: item.price.toString() },
+            media: uploads[index].mediaUrls[0] || "",
+            price: toPriceString(item.discountedPrice, config.currency),
+            priceDescription: { original: priceFormatter.format(item.discountedPrice) },
             descriptionLines: [
                 {
                     name: { original: "Due Date" },
                     plainText: { original: item.dueDate },
                 },
+                ...(item.rushPremium ? [{
+                    name: { original: "Rush Premium" },
+                    plainText: { original: item.rushLabel },
+                }] : []),
                 {
                     name: { original: "Special Directions" },
                     plainText: { original: item?.specialDirections || "" },
                 },
+                ...(item.loadType ? [{
+                    name: { original: "Load" },
+                    plainText: { original: item.loadType },
+                }] : []),
                 {
-                    name: { original: "Height" },
-                    plainText: { original: item.height.toString() },
-                },
-                {
-                    name: { original: "Width" },
-                    plainText: { original: item.width.toString() },
-                },
-                {
-                    name: { original: "Length" },
-                    plainText: { original: item.length.toString() },
+                    name: { original: "Pricing" },
+                    plainText: { original: item.pricingRule },
                 },
+                ...(item.discountedPrice !== item.price ? [{
+                    name: { original: "Discount" },
+                    plainText: { original: `${discountLabel}, was ${priceFormatter.format(item.price)}` },
+                }] : []),
+                ...describeDimensions(item),
+                ...describeCustomFields(item, columns),
+                ...uploads[index].mediaUrls.slice(1).map((mediaUrl, photoIndex) => ({
+                    name: { original: `Photo ${photoIndex + 2}` },
+                    plainText: { original: mediaUrl },
+                })),
             ],
             productName: { original: item.firingType },
             catalogReference: {
                 appId: APP_ID,
-                catalogItemId: item._id,
+                catalogItemId: toCatalogItemId(options.worksheetId, item._id),
                 options: {
                     Type: item.firingType,
-                    Height: item.height.toString(),
-                    Width: item.width.toString(),
-                    Length: item.length.toString(),
-                    Image: imageUrlMap.get(item._id) || "",
+                    Load: item.loadType || "",
+                    Shape: getShape(item.shape).label,
+                    Height: String(item.height ?? ""),
+                    Width: String(item.width ?? ""),
+                    Length: String(item.length ?? ""),
+                    Image: uploads[index].mediaUrls[0] || "",
+                    // Read back from paid orders by the staff dashboard
+                    DueDate: item.dueDate,
+                    Volume: String(item.volume),
+                    Photos: uploads[index].mediaUrls.join(" "),
+                    WorksheetId: options.worksheetId,
+                    SubmissionId: options.submissionId,
                 },
             },
             quantity: item.quantity,
         }));
+        customLineItems.push(...generateFeeLineItems(
+            pricing, options, amount => priceFormatter.format(amount)
+        ));
+
+        return { customLineItems, uploads, errors };
     } catch (error) {
         console.error("Error processing worksheet data:", error);
         throw error;
     }
 }
 
+/**
+ * Checks whether a cart line item was added by this app for a worksheet.
+ * @param {Object} lineItem - Cart line item.
+ * @param {string} worksheetId - Worksheet ID.
+ * @returns {boolean} - Whether the line belongs to that worksheet.
+ */
+function isWorksheetLineItem(lineItem, worksheetId) {
+    const reference = lineItem.catalogReference || {};
+    return reference.appId === APP_ID && (reference.options || {}).WorksheetId === worksheetId;
+}
+
 /**
  * Generates custom line items from worksheet data and manages cart operations.
- * @param {Array} worksheetData - Array of worksheet data to be processed.
- * @returns {Promise<Object>} - Updated or newly created cart.
+ * The new lines are added before the worksheet's previous lines are removed;
+ * if the removal fails, the new lines are taken out again so the cart is
+ * left as it was.
+ * @param {Object} priced - { worksheetData, pricing } from applyServerPricing.
+ * @param {Object} options - Worksheet options from resolveWorksheetOptions.
+ * @returns {Promise<Object>} - { cart, uploads, errors } with the updated or newly created cart.
+ * @throws {WorksheetError} - If the cart could not be updated.
  */
-async function generateCustomLineItemsFromWorksheet(worksheetData) {
-    try {
-        const [existingCart, customLineItems] = await Promise.all([
-            elevate(currentCart.getCurrentCart)(),
-            processWorksheetData(worksheetData)
-        ]);
+async function generateCustomLineItemsFromWorksheet(priced, options) {
+    const [existingCart, { customLineItems, uploads, errors }] = await Promise.all([
+        elevate(currentCart.getCurrentCart)(),
+        processWorksheetData(priced, options)
+    ]);
 
+    try {
         if (!existingCart) {
             const elevatedCreateCart = elevate(cart.createCart);
-            return await elevatedCreateCart({ customLineItems });
+            return { cart: await elevatedCreateCart({ customLineItems }), uploads, errors };
         }
 
-        // Remove existing custom items
-        const firingItems = existingCart.lineItems.filter(
-            item => item.itemType.custom === "custom"
-        );
-        
-        if (firingItems.length) {
-            await currentCart.removeLineItemsFromCurrentCart(
-                firingItems.map(item => item._id)
-            );
-        }
+        // This worksheet's lines from an earlier submission are replaced
+        const existingIds = existingCart.lineItems.map(item => item._id);
+        const previousIds = existingCart.lineItems
+            .filter(item => isWorksheetLineItem(item, options.worksheetId))
+            .map(item => item._id);
 
-        // Add new items
         const elevatedAddToCart = elevate(currentCart.addToCurrentCart);
-        return await elevatedAddToCart({ customLineItems });
+        const updatedCart = await elevatedAddToCart({ customLineItems });
+        if (!previousIds.length) {
+            return { cart: updatedCart, uploads, errors };
+        }
+
+        try {
+            const replacedCart = await currentCart.removeLineItemsFromCurrentCart(previousIds);
+            return { cart: replacedCart, uploads, errors };
+        } catch (error) {
+            await rollBackAddedLines(existingIds, updatedCart);
+            throw error;
+        }
     } catch (error) {
-        console.error("Error generating custom line items:", error);
-        return handleFallbackCartCreation(worksheetData);
+        console.error("Error updating cart:", error);
+        throw new WorksheetError([{ type: "cart", message: "Your cart could not be updated, please try again" }]);
     }
 }
 
 /**
- * Handles fallback cart creation in case of errors.
- * @param {Array} worksheetData - Array of worksheet data for fallback.
- * @returns {Promise<Object>} - Newly created cart data.
+ * Removes the lines a failed submission added, restoring the cart's previous lines.
+ * @param {Array<string>} existingIds - IDs of the cart's lines before the submission.
+ * @param {Object} updatedCart - Cart after the new lines were added.
+ * @returns {Promise<void>}
  */
-async function handleFallbackCartCreation(worksheetData) {
+async function rollBackAddedLines(existingIds, updatedCart) {
+    const addedIds = updatedCart.lineItems
+        .filter(item => !existingIds.includes(item._id))
+        .map(item => item._id);
+
     try {
-        const customLineItems = await processWorksheetData(worksheetData);
-        const elevatedCreateCart = elevate(cart.createCart);
-        const newCart = await elevatedCreateCart({ customLineItems });
-        console.log("Fallback: New cart created:", newCart);
-        return newCart;
-    } catch (fallbackError) {
-        console.error("Error during fallback cart creation:", fallbackError);
-        throw new Error("Failed to create cart during fallback");
-    }
-}
\ No newline at end of file
+        await currentCart.removeLineItemsFromCurrentCart(addedIds);
+    } catch (error) {
+        console.error("Error rolling back cart, it may contain duplicate worksheet lines:", error);
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Reads the first sheet of an XLSX workbook in the browser.
+ * An XLSX file is a zip archive of XML parts; entries are inflated with the
+ * browser's DecompressionStream and parsed with DOMParser, so no spreadsheet
+ * library is needed. Only cell values are read: numbers and dates come back
+ * as the text of their stored value (dates as serial day numbers), booleans
+ * as "1" or "0", and formulas as their last calculated result.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Lists the entries of a zip archive.
+ * @param {DataView} view - Archive contents.
+ * @returns {Map<string, Object>} - { method, offset, size } of each entry's data, by path.
+ */
+function readZipEntries(view) {
+    // The end record sits in the last 64KB, before an optional comment
+    let end = view.byteLength - 22;
+    const stop = Math.max(0, end - 0xffff);
+    while (end >= stop && view.getUint32(end, true) !== END_OF_CENTRAL_DIRECTORY) end--;
+    if (end < stop) throw new Error('Not an XLSX file');
+
+    const entries = new Map();
+    const decoder = new TextDecoder();
+    let position = view.getUint32(end + 16, true);
+    for (let count = view.getUint16(end + 10, true); count > 0; count--) {
+        if (view.getUint32(position, true) !== CENTRAL_DIRECTORY_ENTRY) throw new Error('Damaged XLSX file');
+        const nameLength = view.getUint16(position + 28, true);
+        const name = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + position + 46, nameLength));
+        const localHeader = view.getUint32(position + 42, true);
+        if (view.getUint32(localHeader, true) !== LOCAL_FILE_HEADER) throw new Error('Damaged XLSX file');
+
+        entries.set(name, {
+            method: view.getUint16(position + 10, true),
+            size: view.getUint32(position + 20, true),
+            offset: localHeader + 30 + view.getUint16(localHeader + 26, true) + view.getUint16(localHeader + 28, true)
+        });
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+    return entries;
+}
+
+/**
+ * Reads an XML part of the archive.
+ * @param {DataView} view - Archive contents.
+ * @param {Map<string, Object>} entries - Entries from readZipEntries.
+ * @param {string} path - Entry path, e.g. "xl/workbook.xml".
+ * @returns {Promise<Document|null>} - Parsed XML, or null if the archive has no such entry.
+ */
+async function readXmlEntry(view, entries, path) {
+    const entry = entries.get(path);
+    if (!entry) return null;
+
+    const data = new Uint8Array(view.buffer, view.byteOffset + entry.offset, entry.size);
+    let text;
+    if (entry.method === STORED) {
+        text = new TextDecoder().decode(data);
+    } else if (entry.method === DEFLATED) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        text = await new Response(stream).text();
+    } else {
+        throw new Error('Unsupported XLSX compression');
+    }
+    return new DOMParser().parseFromString(text, 'application/xml');
+}
+
+/**
+ * @param {Element} element - Shared string or inline string element.
+ * @returns {string} - Its text, joining rich text runs and leaving out phonetic hints.
+ */
+function getStringText(element) {
+    return Array.from(element.getElementsByTagName('t'))
+        .filter(t => !t.parentNode || t.parentNode.nodeName !== 'rPh')
+        .map(t => t.textContent)
+        .join('');
+}
+
+/**
+ * Converts a cell reference's column letters to a zero-based index.
+ * @param {string} reference - Cell reference, e.g. "AB12".
+ * @returns {number} - Column index.
+ */
+function getColumnIndex(reference) {
+    const letters = /^[A-Z]+/.exec(reference)[0];
+    return Array.from(letters).reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Reads the first sheet of an XLSX workbook.
+ * @param {ArrayBuffer} buffer - XLSX file contents.
+ * @returns {Promise<Array<Array<string>>>} - Rows of cell text; empty rows keep their place.
+ */
+export async function readXlsxRows(buffer) {
+    const view = new DataView(buffer);
+    const entries = readZipEntries(view);
+
+    const workbook = await readXmlEntry(view, entries, 'xl/workbook.xml');
+    const relationships = await readXmlEntry(view, entries, 'xl/_rels/workbook.xml.rels');
+    const sheet = workbook && workbook.getElementsByTagName('sheet')[0];
+    if (!sheet || !relationships) throw new Error('The workbook has no sheets');
+
+    const sheetId = sheet.getAttribute('r:id');
+    const relationship = Array.from(relationships.getElementsByTagName('Relationship'))
+        .find(element => element.getAttribute('Id') === sheetId);
+    const target = relationship ? relationship.getAttribute('Target') : '';
+    const sheetXml = await readXmlEntry(view, entries, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+    if (!sheetXml) throw new Error('The workbook has no sheets');
+
+    const sharedStringsXml = await readXmlEntry(view, entries, 'xl/sharedStrings.xml');
+    const sharedStrings = sharedStringsXml
+        ? Array.from(sharedStringsXml.getElementsByTagName('si'), getStringText)
+        : [];
+
+    const rows = [];
+    Array.from(sheetXml.getElementsByTagName('row')).forEach(rowElement => {
+        const rowIndex = Number(rowElement.getAttribute('r') || rows.length + 1) - 1;
+        const row = [];
+        Array.from(rowElement.getElementsByTagName('c')).forEach(cell => {
+            const reference = cell.getAttribute('r');
+            const index = reference ? getColumnIndex(reference) : row.length;
+            const valueElement = cell.getElementsByTagName('v')[0];
+            const value = valueElement ? valueElement.textContent : '';
+            switch (cell.getAttribute('t')) {
+                case 's':
+                    row[index] = sharedStrings[Number(value)] ?? '';
+                    break;
+                case 'inlineStr': {
+                    const inline = cell.getElementsByTagName('is')[0];
+                    row[index] = inline ? getStringText(inline) : '';
+                    break;
+                }
+                default:
+                    row[index] = value;
+            }
+        });
+        rows[rowIndex] = Array.from(row, cell => cell ?? '');
+    });
+    return Array.from(rows, row => row || []);
+}
@@ -1,60 +1,107 @@
+import { getConfig } from './firing-worksheet-config.js';
+import { getLoadTypes, priceLineItem, priceWorksheet } from './firing-worksheet-pricing.js';
+import { MAX_IMAGE_BYTES, parseDataUrl } from './firing-worksheet-images.js';
+import { getEarliestDueDate, toISODate } from './firing-worksheet-calendar.js';
+import { validateDueDate } from './firing-worksheet-schema.js';
+import {
+    getColumnOptions,
+    getColumnStep,
+    getDefaultValue,
+    isCustomColumn,
+    isInputColumn,
+    parseFieldValue,
+    resolveColumns,
+    validateFieldValue
+} from './firing-worksheet-columns.js';
+import { DEFAULT_SHAPE, getShape } from './firing-worksheet-shapes.js';
+import { createCurrencyFormatter } from './firing-worksheet-currency.js';
+import { generateLineId, generateWorksheetId, LINE_ID_PATTERN } from './firing-worksheet-ids.js';
+import { exportWorksheetRows, importWorksheetRows, parseCsv, toCsv } from './firing-worksheet-spreadsheet.js';
+import { readXlsxRows } from './firing-worksheet-xlsx.js';
+import {
+    CANONICAL_UNIT,
+    UNITS,
+    convertColumn,
+    convertLength,
+    fromCanonicalRate,
+    fromCanonicalVolume,
+    getUnit,
+    toCanonicalLength
+} from './firing-worksheet-units.js';
+
 class CeramicsFiringCalculator extends HTMLElement {
     constructor() {
         super();
         this.attachShadow({ mode: "open" });
 
+        this.config = getConfig();
+
         // Constants
-        this.MIN_DAYS_AHEAD = 1;
         this.DEFAULT_DAYS_AHEAD = 10;
-        this.MAX_DIMENSION = 55;
-        this.MAX_QUANTITY = 120;
-        this.WORKSHEET_HEADERS = [
-            "Firing Type",
-            "Unit Cost",
-            "Height",
-            "Width",
-            "Length",
-            "Volume",
-            "Quantity",
-            "Price",
-            "Due Date",
-            "Special Directions",
-            "Photo Upload",
-            "Preview",
-            "" // Delete button column
-        ];
+        // Table columns, addressed by name; see firing-worksheet-columns.js.
+        // baseColumns are in inches, columns are converted to the customer's unit.
+        this.unit = this.config.unit in UNITS ? this.config.unit : CANONICAL_UNIT;
+        this.baseColumns = resolveColumns(this.config);
+        this.columns = this.baseColumns.map(column => convertColumn(column, this.unit));
 
         // image handling
         this.MAX_IMAGE_WIDTH = 800;
         this.MAX_IMAGE_HEIGHT = 800;
         this.THUMBNAIL_WIDTH = 100;
         this.THUMBNAIL_HEIGHT = 100;
-        this.MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
-
-        this.FIRING_OPTIONS = {
-            "Bisque": 0.04,
-            "Slipcast Bisque": 0.06,
-            "Oxidation ∆ 6": 0.04,
-            "Reduction ∆ 10": 0.04
+        this.MAX_PHOTOS_PER_ROW = this.config.maxPhotosPerLine;
+        this.UPLOAD_STATUS_LABELS = {
+            pending: 'Ready to upload',
+            uploading: 'Uploading…',
+            uploaded: 'Uploaded',
+            failed: 'Upload failed, submit again to retry'
         };
-        this.rushJobDays = 3;
-        this.rushJobPremium = 25;
-
-        // Try to load config
-        try {
-            const config = require('../config.json');
-            this.FIRING_OPTIONS = config.firingOptions || this.FIRING_OPTIONS;
-            this.rushJobDays = config.rushJobDays || this.rushJobDays;
-            this.rushJobPremium = config.rushJobPremium || this.rushJobPremium;
-        } catch (error) {
-            console.error('Failed to load config, using defaults:', error);
-        }
-
-        this.USDformatter = new Intl.NumberFormat("en-US", {
-            style: "currency",
-            currency: "USD",
-        });
 
+        // draft persistence
+        this.DRAFT_STORAGE_KEY = 'ceramics-firing-worksheet-draft';
+        this.DRAFT_VERSION = 1;
+        this.DRAFT_SAVE_DELAY = 1000;
+
+        this.FIRING_OPTIONS = this.config.firingOptions;
+        this.INVALID_WORKSHEET_MESSAGE = 'Please correct the highlighted fields before submitting.';
+        this.MAX_LISTED_IMPORT_ERRORS = 20;
+
+        // Prices are formatted for display only; the locale attribute overrides the config.
+        // The currency always comes from the shared config, since the backend prices in it.
+        this.locale = this.config.locale;
+        this.priceFormatter = createCurrencyFormatter(this.locale, this.config.currency);
+        this.rateFormatter = createCurrencyFormatter(this.locale, this.config.currency, 4);
+
+        // Identifies this worksheet's lines in the cart: resubmitting replaces them,
+        // while a new worksheet gets a new ID and is added alongside. Once a cart
+        // is checked out, the backend treats the same ID in a new cart as a new worksheet.
+        this.worksheetId = generateWorksheetId();
+
+        // Worksheet-level discounts: member is set by the host page, promoCode by the
+        // customer. Promo codes are only known to the backend, so the host page looks
+        // up the code from the applyPromoCode event and sets the promotion attribute.
+        this.member = false;
+        this.promoCode = null;
+        this.promotion = null;
+
+        // Worksheet session from the backend's startWorksheetSession, set by the host page
+        this.sessionId = null;
+
+        // Available firings per firing type, supplied through the firing-calendar attribute
+        this.firingCalendar = {};
+
+        // IDs of the last submission's lines, matched to upload results by position
+        this.submittedLineIds = [];
+        // { key, content } of the submission awaiting its result from the host page
+        this.pendingSubmission = null;
+
+        // Draft handling: a saved draft is left untouched until the customer resumes or discards it
+        this.draftPending = false;
+        this.draftSaveTimer = null;
+        this.pendingState = null;
+
+        // The worksheet model: one object per row, rendered into the table.
+        // Each row keeps its id for life; photos are [{ data, mimeType, thumbnail }] in display order.
         this.lineItems = [];
         this.totalCost = 0;
     }
@@ -76,10 +123,25 @@ class CeramicsFiringCalculator extends HTMLElement {
                     z-index: 1000;
                 }
 
-                #loader.hidden {
+                #loader.hidden, #draft-banner.hidden {
                     display: none;
                 }
 
+                #draft-banner {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    padding: 12px;
+                    margin-bottom: 20px;
+                    border: 1px solid #e0e0e0;
+                    border-radius: 8px;
+                    background-color: #f8f9fa;
+                }
+
+                #draft-message {
+                    flex: 1;
+                }
+
                 .spinner {
                     width: 50px;
                     height: 50px;
@@ -156,6 +218,12 @@ class CeramicsFiringCalculator extends HTMLElement {
                     background-color: white;
                 }
 
+                button:disabled,
+                button:disabled:hover {
+                    background-color: #6c757d;
+                    cursor: not-allowed;
+                }
+
                 .thumbnail {
                     max-width: 100px;
                     max-height: 100px;
@@ -167,8 +235,66 @@ class CeramicsFiringCalculator extends HTMLElement {
                     margin: 0 auto; /* Centers the thumbnail */
                 }
 
+                .rule-note {
+                    display: block;
+                    font-size: 12px;
+                    font-weight: normal;
+                    color: #999;
+                    margin-top: 4px;
+                }
+
+                .upload-status[data-status="failed"] {
+                    color: #dc3545;
+                }
+
+                #unit-toggle {
+                    display: block;
+                    margin-bottom: 12px;
+                }
+
+                #unit-toggle select {
+                    width: auto;
+                    margin-left: 8px;
+                }
+
+                .load-type {
+                    margin-top: 8px;
+                }
+
+                .gallery {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                    justify-content: center;
+                }
+
+                .gallery-item {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                }
+
+                .gallery .thumbnail {
+                    max-width: 60px;
+                    max-height: 60px;
+                    margin-bottom: 4px;
+                }
+
+                .gallery-button {
+                    display: inline-block;
+                    padding: 2px 6px;
+                    margin: 0 1px;
+                    border-radius: 4px;
+                    font-size: 11px;
+                }
+
+                .gallery-button:disabled {
+                    background-color: #ccc;
+                    cursor: default;
+                }
+
                 .preview-cell {
-                    width: 100px;
+                    min-width: 100px;
                     height: 100px;
                     padding: 4px;
                     text-align: center; /* Centers the thumbnail container */
@@ -226,10 +352,53 @@ class CeramicsFiringCalculator extends HTMLElement {
                     background-color: #fafafa;
                 }
 
-                tfoot tr td {
+                tr.invalid-row {
+                    background-color: #fff5f5;
+                }
+
+                tfoot td {
+                    color: inherit;
+                }
+
+                tfoot tr:first-child td {
                     border-top: 2px solid #343a40;
+                }
+
+                tfoot tr:last-child td {
                     font-weight: bold;
-                    color: inherit;
+                }
+
+                #promo {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    margin-bottom: 20px;
+                }
+
+                #promo input {
+                    width: auto;
+                }
+
+                #submission-message {
+                    color: #dc3545;
+                    margin-bottom: 20px;
+                }
+
+                #submission-message:empty {
+                    display: none;
+                }
+
+                #import-message {
+                    margin-top: 20px;
+                }
+
+                #import-message:empty {
+                    display: none;
+                }
+
+                #import-message ul {
+                    color: #dc3545;
+                    margin: 8px 0 0;
                 }
 
                 @media (max-width: 768px) {
@@ -246,44 +415,146 @@ class CeramicsFiringCalculator extends HTMLElement {
             <div id="loader" class="hidden">
                 <div class="spinner"></div>
             </div>
+            <div id="draft-banner" class="hidden">
+                <span id="draft-message"></span>
+                <button id="resume-draft-button">Resume Draft</button>
+                <button id="discard-draft-button">Discard</button>
+            </div>
+            <label id="unit-toggle">Units
+                <select id="unit-select"></select>
+            </label>
             <table>
                 <thead>
-                    <tr>
-                        ${this.WORKSHEET_HEADERS.map(header => `<th>${header}</th>`).join('')}
-                    </tr>
+                    <tr id="header-row"></tr>
                 </thead>
                 <tbody id="data-rows"></tbody>
-                <tfoot>
-                    <tr>
-                        <td colspan="7">Total Price:</td>
-                        <td id="total-price">$0.00</td>
-                        <td colspan="3"></td>
-                    </tr>
-                </tfoot>
+                <tfoot id="summary-rows"></tfoot>
             </table>
 
+            <div id="promo">
+                <input id="promo-code" type="text" placeholder="Promo code">
+                <button id="apply-promo-button">Apply</button>
+                <span id="promo-message"></span>
+            </div>
+            <div id="submission-message" role="alert"></div>
+
             <button id="add-row-button">Add Row</button>
             <button id="submit-worksheet-button">Submit Worksheet</button>
+            <button id="new-worksheet-button">New Worksheet</button>
+            <button id="import-button">Import Spreadsheet</button>
+            <button id="export-button">Export CSV</button>
+            <input type="file" id="import-file" accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" hidden>
+            <div id="import-message" role="status"></div>
             `;
 
         this.shadowRoot.appendChild(template.content.cloneNode(true));
 
         this.dataRows = this.shadowRoot.getElementById('data-rows');
+        const unitSelect = this.shadowRoot.getElementById('unit-select');
+        Object.entries(UNITS).forEach(([unit, { name }]) => {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.text = name;
+            unitSelect.appendChild(option);
+        });
+        unitSelect.value = this.unit;
+        this.renderHeader();
         const addRowButton = this.shadowRoot.getElementById('add-row-button');
         const submitWorksheetButton = this.shadowRoot.getElementById('submit-worksheet-button');
 
+        // Offer a saved draft before anything can overwrite it
+        const draft = this.loadDraft();
+        if (!this.pendingState && draft && draft.lineItems && draft.lineItems.length) {
+            this.showDraftBanner(draft);
+        }
+
         // Add initial row
         this.addRow();
-        this.updateTotalCost();
-        this.updateDeleteButtonState();
+        if (this.pendingState) {
+            this.setState(this.pendingState);
+        }
         // Event listeners
         this.dataRows.addEventListener('change', this.handleRowChange.bind(this));
         this.dataRows.addEventListener('click', this.handleDelete.bind(this));
+        this.dataRows.addEventListener('click', this.handleGalleryAction.bind(this));
+        unitSelect.addEventListener('change', () => this.setUnit(unitSelect.value));
+        this.shadowRoot.getElementById('apply-promo-button').addEventListener('click', () => {
+            this.applyPromoCode(this.shadowRoot.getElementById('promo-code').value);
+        });
         addRowButton.addEventListener('click', () => this.addRow());
         submitWorksheetButton.addEventListener('click', () => this.submitWorksheet());
+        this.shadowRoot.getElementById('new-worksheet-button')
+            .addEventListener('click', () => this.startNewWorksheet());
+        this.shadowRoot.getElementById('resume-draft-button')
+            .addEventListener('click', () => this.setState(this.loadDraft()));
+        this.shadowRoot.getElementById('discard-draft-button')
+            .addEventListener('click', () => this.discardDraft());
+        const importFile = this.shadowRoot.getElementById('import-file');
+        this.shadowRoot.getElementById('import-button').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            const [file] = importFile.files;
+            // Cleared so choosing the same file again imports it again
+            importFile.value = '';
+            if (file) this.importSpreadsheet(file);
+        });
+        this.shadowRoot.getElementById('export-button').addEventListener('click', () => this.exportCsv());
     }
 
     attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'firing-calendar') {
+            this.setFiringCalendar(newValue);
+            return;
+        }
+        if (name === 'upload-status') {
+            this.setUploadStatus(newValue);
+            return;
+        }
+        if (name === 'submission-errors') {
+            this.setSubmissionErrors(newValue);
+            return;
+        }
+        if (name === 'columns') {
+            this.setColumns(newValue);
+            return;
+        }
+        if (name === 'locale') {
+            if (newValue) this.setLocale(newValue);
+            return;
+        }
+        if (name === 'unit') {
+            if (newValue) this.setUnit(newValue);
+            return;
+        }
+        if (name === 'reorder') {
+            if (newValue) this.loadPastWorksheet(newValue);
+            return;
+        }
+        if (name === 'session') {
+            this.sessionId = newValue || null;
+            return;
+        }
+        if (name === 'member') {
+            this.member = newValue === 'true';
+            if (this.dataRows) this.updateTotalCost();
+            return;
+        }
+        if (name === 'promotion') {
+            this.setPromotion(newValue);
+            return;
+        }
+        if (name === 'draft') {
+            if (newValue === 'clear') {
+                this.clearDraft();
+            } else if (newValue) {
+                try {
+                    this.setState(JSON.parse(newValue));
+                } catch (error) {
+                    console.error('Invalid draft, ignoring:', error);
+                }
+            }
+            return;
+        }
+
         const loader = this.shadowRoot.getElementById('loader');
         loader.classList.remove('hidden'); // Show loader
         if (newValue == "hide") {
@@ -293,70 +564,946 @@ class CeramicsFiringCalculator extends HTMLElement {
         }
     }
     static get observedAttributes() {
-        return ["loader"];
+        return ["loader", "firing-calendar", "upload-status", "draft", "columns", "unit", "locale", "member", "promotion", "session", "reorder", "submission-errors"];
     }
 
-    handleRowChange(event) {
-        const target = event.target;
-        const row = target.closest('tr');
-        const cell = target.closest('td');
+    getState() {
+        return {
+            version: this.DRAFT_VERSION,
+            savedAt: new Date().toISOString(),
+            worksheetId: this.worksheetId,
+            unit: this.unit,
+            promoCode: this.promoCode,
+            lineItems: this.lineItems.map(({ errors, serverErrors, uploadStatus, ...item }) => ({
+                ...item,
+                photos: item.photos.map(photo => ({ ...photo }))
+            }))
+        };
+    }
+
+    setState(state) {
+        if (!this.dataRows) {
+            this.pendingState = state;
+            return;
+        }
+        this.pendingState = null;
+        this.hideDraftBanner();
+
+        if (state && state.worksheetId) this.worksheetId = state.worksheetId;
+
+        // Drafts from before unit support were always in inches
+        const unit = state && state.unit in UNITS ? state.unit : CANONICAL_UNIT;
+        if (unit !== this.unit) {
+            this.unit = unit;
+            this.columns = this.baseColumns.map(column => convertColumn(column, unit));
+            this.shadowRoot.getElementById('unit-select').value = unit;
+            this.renderHeader();
+        }
+
+        const lineItems = state && state.lineItems && state.lineItems.length ? state.lineItems : [{}];
+        this.lineItems = [];
+        lineItems.forEach(values => this.lineItems.push(this.createLineItem(values)));
+        this.applyPromoCode(state && state.promoCode);
+        this.render();
+        this.scheduleDraftSave();
+    }
+
+    scheduleDraftSave() {
+        if (this.draftPending) return;
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = setTimeout(() => this.saveDraft(), this.DRAFT_SAVE_DELAY);
+    }
+
+    saveDraft() {
+        const state = this.getState();
+        try {
+            localStorage.setItem(this.DRAFT_STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            // Photos are the bulk of a draft; keep the rows if they don't fit
+            console.warn('Draft too large to store, saving without photos:', error);
+            try {
+                localStorage.setItem(this.DRAFT_STORAGE_KEY, JSON.stringify({
+                    ...state,
+                    lineItems: state.lineItems.map(item => ({ ...item, photos: [] }))
+                }));
+            } catch (fallbackError) {
+                console.error('Failed to save draft:', fallbackError);
+            }
+        }
+        this.dispatchEvent(new CustomEvent('draftChange', {
+            detail: { state }
+        }));
+    }
+
+    loadDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(this.DRAFT_STORAGE_KEY));
+            return draft && draft.version === this.DRAFT_VERSION ? draft : null;
+        } catch (error) {
+            console.error('Failed to load draft:', error);
+            return null;
+        }
+    }
+
+    clearDraft() {
+        clearTimeout(this.draftSaveTimer);
+        try {
+            localStorage.removeItem(this.DRAFT_STORAGE_KEY);
+        } catch (error) {
+            console.error('Failed to clear draft:', error);
+        }
+    }
+
+    discardDraft() {
+        this.clearDraft();
+        this.hideDraftBanner();
+        this.scheduleDraftSave();
+    }
+
+    showDraftBanner(draft) {
+        this.draftPending = true;
+        const savedAt = new Date(draft.savedAt).toLocaleString(this.locale);
+        const count = draft.lineItems.length;
+        this.shadowRoot.getElementById('draft-message').textContent =
+            `You have an unsubmitted worksheet with ${count} ${count === 1 ? 'row' : 'rows'} from ${savedAt}.`;
+        this.shadowRoot.getElementById('draft-banner').classList.remove('hidden');
+    }
+
+    hideDraftBanner() {
+        this.draftPending = false;
+        this.shadowRoot.getElementById('draft-banner').classList.add('hidden');
+    }
+
+    setUploadStatus(value) {
+        // The host page reports back once the submission is done, so the next one is a new attempt
+        this.pendingSubmission = null;
+        let uploads;
+        try {
+            uploads = value ? JSON.parse(value) : [];
+        } catch (error) {
+            console.error('Invalid upload status, ignoring:', error);
+            return;
+        }
+
+        uploads.forEach((upload, index) => {
+            const item = this.findLineItem(this.submittedLineIds[index]);
+            if (!item || upload.status === 'none') return;
+
+            this.setRowUploadStatus(item, upload.status);
+        });
+    }
+
+    setRowUploadStatus(item, status) {
+        item.uploadStatus = status;
+
+        const row = this.getRow(item);
+        if (!row) return;
+        const previewCell = this.getCell(row, 'preview');
+        let statusLabel = previewCell.querySelector('.upload-status');
+        if (!statusLabel) {
+            statusLabel = document.createElement('span');
+            statusLabel.className = 'rule-note upload-status';
+            previewCell.appendChild(statusLabel);
+        }
+        statusLabel.textContent = this.UPLOAD_STATUS_LABELS[status] || '';
+        statusLabel.dataset.status = status;
+    }
 
-        if (target.tagName === 'SELECT') {
-            const unitCostCell = row.cells[1];
-            const selectedFiringType = target.value;
-            const unitCost = this.FIRING_OPTIONS[selectedFiringType] || 0;
-            unitCostCell.textContent = this.USDformatter.format(unitCost);
-        } else if (target.type === 'date') {
-            const selectedDate = new Date(target.value);
-            const minDate = new Date();
-            minDate.setDate(minDate.getDate() + this.MIN_DAYS_AHEAD);
-
-            if (selectedDate < minDate) {
-                cell.setAttribute('data-error', 'Due date must be at least tomorrow');
-                target.classList.add('invalid-input');
+    setSubmissionErrors(value) {
+        this.pendingSubmission = null;
+        let errors;
+        try {
+            errors = value ? JSON.parse(value) : [];
+        } catch (error) {
+            console.error('Invalid submission errors, ignoring:', error);
+            return;
+        }
+
+        // Line errors go on the row's field, anything else above the buttons
+        const messages = [];
+        this.lineItems.forEach(item => {
+            item.serverErrors = {};
+        });
+        errors.forEach(({ line, field, message }) => {
+            const item = line === undefined || line === null ? null : this.findLineItem(this.submittedLineIds[line]);
+            if (!item) {
+                messages.push(message);
                 return;
-            } else {
-                cell.removeAttribute('data-error');
-                target.classList.remove('invalid-input');
             }
-        } else if (target.type === 'number') {
-            const error = this.validateInput(target.value);
+            const column = field && this.getColumn(field) ? field : 'price';
+            item.serverErrors[column] = item.serverErrors[column]
+                ? `${item.serverErrors[column]}; ${message}`
+                : message;
+        });
+
+        if (!this.dataRows) return;
+        this.shadowRoot.getElementById('submission-message').textContent = messages.join(' ');
+        this.render();
+    }
+
+    setFiringCalendar(value) {
+        try {
+            this.firingCalendar = value ? JSON.parse(value) : {};
+        } catch (error) {
+            console.error('Invalid firing calendar, ignoring:', error);
+            this.firingCalendar = {};
+        }
+
+        if (!this.dataRows) return;
+        this.lineItems.forEach(item => {
+            item.dueDate = this.resolveDueDate(item.firingType, item.dueDate);
+        });
+        this.render();
+    }
+
+    setColumns(value) {
+        try {
+            this.baseColumns = resolveColumns(this.config, value ? JSON.parse(value) : undefined);
+        } catch (error) {
+            console.error('Invalid column schema, ignoring:', error);
+            return;
+        }
+        this.columns = this.baseColumns.map(column => convertColumn(column, this.unit));
+
+        if (!this.dataRows) return;
+        // Rebuild rows so new columns get their defaults
+        const previous = this.lineItems;
+        this.lineItems = [];
+        previous.forEach(({ errors, serverErrors, uploadStatus, ...values }) => {
+            this.lineItems.push(this.createLineItem(values));
+        });
+        this.renderHeader();
+        this.render();
+        this.scheduleDraftSave();
+    }
+
+    setLocale(locale) {
+        try {
+            this.priceFormatter = createCurrencyFormatter(locale, this.config.currency);
+            this.rateFormatter = createCurrencyFormatter(locale, this.config.currency, 4);
+        } catch (error) {
+            console.error(`Invalid locale ${locale}, ignoring:`, error);
+            return;
+        }
+        this.locale = locale;
+
+        if (!this.dataRows) return;
+        this.render();
+    }
+
+    startNewWorksheet() {
+        this.worksheetId = generateWorksheetId();
+        this.submittedLineIds = [];
+        this.setState({ unit: this.unit });
+    }
+
+    // Loads a worksheet from the backend's listPastWorksheets as a new draft.
+    // It gets new worksheet and line IDs and due dates are picked afresh;
+    // photos stay behind, since only their media URLs were kept.
+    loadPastWorksheet(value) {
+        let worksheet;
+        try {
+            worksheet = JSON.parse(value);
+        } catch (error) {
+            console.error('Invalid past worksheet, ignoring:', error);
+            return;
+        }
+        if (!worksheet || !Array.isArray(worksheet.lines)) return;
+
+        // Lengths come back as they were typed, or converted from inches
+        const unit = worksheet.unit in UNITS ? worksheet.unit : CANONICAL_UNIT;
+        const lengthColumns = this.baseColumns.filter(column => column.measure === 'length');
+        const lineItems = worksheet.lines.map(line => {
+            const entered = line.entered || {};
+            const values = {
+                ...line,
+                id: null,
+                fields: { ...line.fields },
+                dueDate: null,
+                photos: []
+            };
+            lengthColumns.forEach(column => {
+                const value = entered.unit === unit && entered[column.name] !== undefined
+                    ? entered[column.name]
+                    : convertLength(this.getFieldValue(values, column), CANONICAL_UNIT, unit, convertColumn(column, unit));
+                this.setFieldValue(values, column, value);
+            });
+            return values;
+        });
+
+        this.submittedLineIds = [];
+        this.setState({ worksheetId: generateWorksheetId(), unit, lineItems });
+    }
+
+    // Spreadsheet import and export, see firing-worksheet-spreadsheet.js
+
+    async importSpreadsheet(file) {
+        const message = this.shadowRoot.getElementById('import-message');
+        message.textContent = `Reading ${file.name}…`;
+
+        let rows;
+        try {
+            rows = /\.xlsx$/i.test(file.name)
+                ? await readXlsxRows(await file.arrayBuffer())
+                : parseCsv(await file.text());
+        } catch (error) {
+            console.error('Error reading spreadsheet:', error);
+            message.textContent = `Could not read ${file.name}: ${error.message}`;
+            return;
+        }
+
+        const { lines, errors } = importWorksheetRows(rows, {
+            columns: this.baseColumns,
+            config: this.config,
+            unit: this.unit,
+            firingCalendar: this.firingCalendar
+        });
+        if (lines.length) {
+            // A worksheet that is still a single untouched row is replaced rather than added to
+            if (this.lineItems.length === 1 && this.isBlankLineItem(this.lineItems[0])) {
+                this.lineItems = [];
+            }
+            lines.forEach(values => this.lineItems.push(this.createLineItem(values)));
+            this.render();
+            this.scheduleDraftSave();
+        }
+        this.showImportResult(file.name, lines.length, errors);
+    }
+
+    isBlankLineItem(item) {
+        return !item.photos.length && this.columns.filter(isInputColumn)
+            .every(column => this.getFieldValue(item, column) === getDefaultValue(column));
+    }
+
+    showImportResult(fileName, count, errors) {
+        const message = this.shadowRoot.getElementById('import-message');
+        message.textContent = `Imported ${count} ${count === 1 ? 'row' : 'rows'} from ${fileName}.`;
+        if (!errors.length) return;
+
+        const rows = new Set(errors.map(({ row }) => row));
+        message.append(` ${rows.size} ${rows.size === 1 ? 'row was' : 'rows were'} left out:`);
+        const list = document.createElement('ul');
+        errors.slice(0, this.MAX_LISTED_IMPORT_ERRORS).forEach(({ row, column, message: text }) => {
+            const item = document.createElement('li');
+            item.textContent = [row && `Row ${row}`, column].filter(Boolean).concat(text).join(': ');
+            list.appendChild(item);
+        });
+        if (errors.length > this.MAX_LISTED_IMPORT_ERRORS) {
+            const more = document.createElement('li');
+            more.textContent = `and ${errors.length - this.MAX_LISTED_IMPORT_ERRORS} more`;
+            list.appendChild(more);
+        }
+        message.appendChild(list);
+    }
+
+    exportCsv() {
+        const rows = exportWorksheetRows(this.lineItems, this.priceWorksheet(), {
+            columns: this.columns,
+            unit: this.unit,
+            config: this.config
+        });
+        // The byte order mark tells spreadsheet apps the file is UTF-8
+        const url = URL.createObjectURL(new Blob(['\uFEFF', toCsv(rows)], { type: 'text/csv' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `firing-worksheet-${toISODate(new Date())}.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // The code only counts once the host page confirms it through setPromotion
+    applyPromoCode(code) {
+        const input = this.shadowRoot.getElementById('promo-code');
+        const message = this.shadowRoot.getElementById('promo-message');
+        const entered = code ? code.trim() : '';
+        this.promoCode = null;
+        this.promotion = null;
+        input.value = entered;
+        message.textContent = entered ? 'Checking promo code…' : '';
+
+        this.updateTotalCost();
+        this.scheduleDraftSave();
+        if (entered) {
+            this.dispatchEvent(new CustomEvent('applyPromoCode', {
+                detail: { code: entered }
+            }));
+        }
+    }
+
+    // value is the backend's validatePromoCode result: a promotion, or null for an unknown code
+    setPromotion(value) {
+        let promotion;
+        try {
+            promotion = value ? JSON.parse(value) : null;
+        } catch (error) {
+            console.error('Invalid promotion, ignoring:', error);
+            return;
+        }
+        this.promotion = promotion && promotion.code ? promotion : null;
+        this.promoCode = this.promotion ? this.promotion.code : null;
+
+        if (!this.dataRows) return;
+        const input = this.shadowRoot.getElementById('promo-code');
+        const message = this.shadowRoot.getElementById('promo-message');
+        if (this.promotion) input.value = this.promotion.code;
+        message.textContent = this.promotion ? `${this.promotion.label} applied` : 'Unknown or expired promo code';
+        this.updateTotalCost();
+        this.scheduleDraftSave();
+    }
+
+    setUnit(unit) {
+        if (!(unit in UNITS)) {
+            console.error(`Unknown unit ${unit}, ignoring`);
+            return;
+        }
+        if (unit === this.unit) return;
+
+        // Convert entered lengths so every piece keeps its size
+        const previousUnit = this.unit;
+        this.unit = unit;
+        this.columns = this.baseColumns.map(column => convertColumn(column, unit));
+        if (!this.dataRows) return;
+
+        this.columns.filter(column => column.measure === 'length').forEach(column => {
+            this.lineItems.forEach(item => {
+                const value = this.getFieldValue(item, column);
+                this.setFieldValue(item, column, convertLength(value, previousUnit, unit, column));
+            });
+        });
+        this.shadowRoot.getElementById('unit-select').value = unit;
+        this.renderHeader();
+        this.render();
+        this.scheduleDraftSave();
+    }
+
+    // Line item model
+
+    createLineItem(values = {}) {
+        const firingType = values.firingType in this.FIRING_OPTIONS
+            ? values.firingType
+            : Object.keys(this.FIRING_OPTIONS)[0];
+        const loadTypes = getLoadTypes(firingType, this.config);
+        const photos = (values.photos || []).map(photo => ({ ...photo }));
+
+        // Keep the row's id unless it is malformed or already taken in this worksheet
+        const id = LINE_ID_PATTERN.test(values.id || '') && !this.findLineItem(values.id)
+            ? values.id
+            : generateLineId();
+
+        const item = {
+            id,
+            firingType,
+            loadType: loadTypes.includes(values.loadType) ? values.loadType : (loadTypes[0] || null),
+            shape: DEFAULT_SHAPE,
+            height: 1,
+            width: 1,
+            length: 1,
+            quantity: 1,
+            dueDate: this.resolveDueDate(firingType, values.dueDate),
+            specialDirections: null,
+            fields: {},
+            photos,
+            uploadStatus: photos.length ? 'pending' : 'none',
+            errors: {},
+            // Errors the backend reported for the last submission, by column
+            serverErrors: {}
+        };
+
+        // Input columns take the supplied value if it is valid, else the column default
+        this.columns.filter(isInputColumn).forEach(column => {
+            const supplied = isCustomColumn(column)
+                ? (values.fields || {})[column.name]
+                : values[column.name];
+            const valid = supplied !== undefined && !validateFieldValue(column, supplied);
+            this.setFieldValue(item, column, valid ? supplied : getDefaultValue(column));
+        });
+        return item;
+    }
+
+    getFieldValue(item, column) {
+        return isCustomColumn(column) ? item.fields[column.name] : item[column.name];
+    }
+
+    setFieldValue(item, column, value) {
+        if (isCustomColumn(column)) {
+            item.fields[column.name] = value;
+        } else {
+            item[column.name] = value;
+        }
+    }
+
+    // Line items hold lengths as entered; pricing and the backend work in inches
+    priceWorksheet() {
+        return priceWorksheet(this.lineItems.map(item => this.toCanonicalItem(item)), this.config, new Date(), {
+            promotion: this.promotion,
+            member: this.member
+        });
+    }
+
+    toCanonicalItem(item) {
+        const canonical = { ...item, fields: { ...item.fields } };
+        this.columns.filter(column => column.measure === 'length').forEach(column => {
+            this.setFieldValue(canonical, column, toCanonicalLength(this.getFieldValue(item, column), this.unit));
+        });
+        return canonical;
+    }
+
+    getColumn(name) {
+        return this.columns.find(column => column.name === name) || null;
+    }
+
+    resolveDueDate(firingType, dueDate) {
+        const firings = this.firingCalendar[firingType];
+        if (firings) {
+            // Scheduled firing type: keep the date only if that firing still has room
+            if (firings.some(({ date }) => date === dueDate)) return dueDate;
+            return firings.length ? firings[0].date : null;
+        }
+        if (dueDate) return dueDate;
+
+        const defaultDate = new Date();
+        defaultDate.setDate(defaultDate.getDate() + this.DEFAULT_DAYS_AHEAD);
+        return defaultDate.toISOString().split('T')[0];
+    }
+
+    findLineItem(id) {
+        return this.lineItems.find(item => item.id === id) || null;
+    }
+
+    addRow(values = {}) {
+        const item = this.createLineItem(values);
+        this.lineItems.push(item);
+        this.dataRows.appendChild(this.renderRow(item));
+        this.updateTotalCost();
+        this.updateDeleteButtonState();
+        this.updateValidationState();
+        this.scheduleDraftSave();
+        return item;
+    }
+
+    // Rendering
+
+    renderHeader() {
+        const headerRow = this.shadowRoot.getElementById('header-row');
+        headerRow.innerHTML = '';
+        this.columns.forEach(({ label }) => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headerRow.appendChild(th);
+        });
+    }
+
+    render() {
+        this.dataRows.innerHTML = '';
+        this.lineItems.forEach(item => this.dataRows.appendChild(this.renderRow(item)));
+        this.updateTotalCost();
+        this.updateDeleteButtonState();
+        this.updateValidationState();
+    }
+
+    rerenderRow(item) {
+        const row = this.getRow(item);
+        if (row) row.replaceWith(this.renderRow(item));
+        this.updateDeleteButtonState();
+        this.updateValidationState();
+    }
+
+    getRow(item) {
+        return this.dataRows.querySelector(`tr[data-line-id="${item.id}"]`);
+    }
+
+    getCell(row, column) {
+        return row.querySelector(`td[data-column="${column}"]`);
+    }
+
+    renderRow(item) {
+        const row = document.createElement('tr');
+        row.dataset.lineId = item.id;
+
+        this.columns.forEach(column => {
+            const cell = document.createElement('td');
+            cell.dataset.column = column.name;
+            row.appendChild(cell);
+            this.renderCell(column, cell, item);
+            const error = item.errors[column.name] || item.serverErrors[column.name];
             if (error) {
                 cell.setAttribute('data-error', error);
-                target.classList.add('invalid-input');
-                return;
+            }
+        });
+
+        this.updateRowOutputs(item, row);
+        return row;
+    }
+
+    renderCell(column, cell, item) {
+        switch (column.type) {
+            case 'firingType': {
+                const firingTypeSelect = document.createElement('select');
+                firingTypeSelect.className = 'firing-type';
+                firingTypeSelect.dataset.field = 'firingType';
+                Object.keys(this.FIRING_OPTIONS).forEach(type => {
+                    const option = document.createElement('option');
+                    option.value = type;
+                    option.text = type;
+                    firingTypeSelect.appendChild(option);
+                });
+                firingTypeSelect.value = item.firingType;
+                cell.appendChild(firingTypeSelect);
+
+                // Load select, only shown for firing types with load variants
+                const loadSelect = document.createElement('select');
+                loadSelect.className = 'load-type';
+                loadSelect.dataset.field = 'loadType';
+                const loadTypes = getLoadTypes(item.firingType, this.config);
+                loadTypes.forEach(load => {
+                    const option = document.createElement('option');
+                    option.value = load;
+                    option.text = load;
+                    loadSelect.appendChild(option);
+                });
+                loadSelect.value = item.loadType || '';
+                loadSelect.hidden = loadTypes.length === 0;
+                cell.appendChild(loadSelect);
+                break;
+            }
+            case 'number': {
+                // Dimensions follow the row's shape: unused ones are blank, renamed ones are noted
+                const shape = getShape(item.shape);
+                if (column.measure === 'length' && !isCustomColumn(column) && !shape.dimensions.includes(column.name)) {
+                    cell.textContent = '—';
+                    break;
+                }
+                const input = document.createElement('input');
+                input.type = 'number';
+                if (column.min !== undefined) input.min = String(column.min);
+                if (column.max !== undefined) input.max = String(column.max);
+                input.step = getColumnStep(column);
+                input.value = this.getFieldValue(item, column) ?? '';
+                input.dataset.field = column.name;
+                cell.appendChild(input);
+                if (shape.labels[column.name]) {
+                    const note = document.createElement('span');
+                    note.className = 'rule-note';
+                    note.textContent = shape.labels[column.name];
+                    cell.appendChild(note);
+                }
+                break;
+            }
+            case 'text':
+            case 'textarea': {
+                const input = document.createElement(column.type === 'text' ? 'input' : 'textarea');
+                if (column.maxLength) input.maxLength = column.maxLength;
+                input.value = this.getFieldValue(item, column) || '';
+                input.dataset.field = column.name;
+                cell.appendChild(input);
+                break;
+            }
+            case 'select': {
+                const select = document.createElement('select');
+                if (!column.required) {
+                    select.appendChild(document.createElement('option'));
+                }
+                getColumnOptions(column).forEach(({ value, label }) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.text = label;
+                    select.appendChild(option);
+                });
+                select.value = this.getFieldValue(item, column) ?? '';
+                select.dataset.field = column.name;
+                cell.appendChild(select);
+                break;
+            }
+            case 'checkbox': {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = Boolean(this.getFieldValue(item, column));
+                checkbox.dataset.field = column.name;
+                cell.appendChild(checkbox);
+                break;
+            }
+            case 'dueDate':
+                cell.appendChild(this.renderDueDateControl(item));
+                break;
+            case 'photos': {
+                // Photo upload with immediate processing
+                const photoInput = document.createElement('input');
+                photoInput.type = 'file';
+                photoInput.accept = 'image/jpeg,image/png,image/webp';
+                photoInput.multiple = true;
+                photoInput.addEventListener('change', async (event) => {
+                    const files = Array.from(event.target.files);
+                    if (!files.length) return;
+
+                    const loader = this.shadowRoot.getElementById('loader');
+                    try {
+                        loader.classList.remove('hidden');
+                        await this.processImages(files, item);
+                    } catch (error) {
+                        alert(error.message);
+                    } finally {
+                        photoInput.value = ''; // Clear the input so more photos can be added
+                        loader.classList.add('hidden');
+                    }
+                });
+                cell.appendChild(photoInput);
+                break;
+            }
+            case 'preview':
+                cell.className = 'preview-cell';
+                this.renderPhotoGallery(item, cell);
+                break;
+            case 'delete': {
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'delete-row';
+                deleteButton.textContent = 'Delete';
+                cell.appendChild(deleteButton);
+                break;
+            }
+            default:
+                // Computed columns are filled in by updateRowOutputs
+                break;
+        }
+    }
+
+    renderDueDateControl(item) {
+        const firings = this.firingCalendar[item.firingType];
+
+        let control;
+        if (firings) {
+            // Scheduled firing type: only offer firings with remaining capacity
+            control = document.createElement('select');
+            firings.forEach(({ date, remaining }) => {
+                const option = document.createElement('option');
+                const label = new Date(`${date}T00:00:00Z`).toLocaleDateString(this.locale, {
+                    weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC'
+                });
+                option.value = date;
+                const left = Math.floor(fromCanonicalVolume(remaining, this.unit));
+                option.text = `${label} (${left} ${getUnit(this.unit).volumeLabel} left)`;
+                control.appendChild(option);
+            });
+            if (!firings.length) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.text = 'No firings available';
+                option.disabled = true;
+                control.appendChild(option);
+            }
+        } else {
+            control = document.createElement('input');
+            control.type = 'date';
+            control.min = getEarliestDueDate(this.config);
+        }
+        control.className = 'due-date';
+        control.dataset.field = 'dueDate';
+        control.value = item.dueDate || '';
+        return control;
+    }
+
+    updateRowOutputs(item, row = this.getRow(item)) {
+        const { unitCost, volume, linePrice, rule, rushLabel } = priceLineItem(this.toCanonicalItem(item), this.config);
+
+        // Unit cost, volume and due date are optional columns
+        const unitCostCell = this.getCell(row, 'unitCost');
+        if (unitCostCell) unitCostCell.textContent = this.rateFormatter.format(fromCanonicalRate(unitCost, this.unit));
+        const volumeCell = this.getCell(row, 'volume');
+        if (volumeCell) volumeCell.textContent = Math.round(fromCanonicalVolume(volume, this.unit));
+
+        const priceCell = this.getCell(row, 'price');
+        priceCell.textContent = this.priceFormatter.format(linePrice);
+        const ruleNote = document.createElement('span');
+        ruleNote.className = 'rule-note';
+        ruleNote.textContent = rule;
+        priceCell.appendChild(ruleNote);
+
+        const dueDateCell = this.getCell(row, 'dueDate');
+        if (!dueDateCell) return;
+        let rushNote = dueDateCell.querySelector('.rule-note');
+        if (!rushNote) {
+            rushNote = document.createElement('span');
+            rushNote.className = 'rule-note';
+            dueDateCell.appendChild(rushNote);
+        }
+        rushNote.textContent = rushLabel || '';
+    }
+
+    updateTotalCost() {
+        const { subtotal, discounts, fees, tax, total } = this.priceWorksheet();
+        this.totalCost = total;
+
+        // The breakdown is only shown when something adjusts the subtotal
+        const rows = [];
+        if (discounts.length || fees.length || tax) {
+            rows.push(['Subtotal:', subtotal]);
+            discounts.forEach(({ label, amount }) => rows.push([`${label}:`, -amount]));
+            fees.forEach(({ label, amount }) => rows.push([`${label}:`, amount]));
+            if (tax) rows.push([`${tax.label} (${tax.rate}%):`, tax.amount]);
+        }
+        rows.push(['Total Price:', total, 'total-price']);
+
+        // Line the amounts up under the price column
+        const priceColumn = this.columns.findIndex(({ name }) => name === 'price');
+        const fillerColumns = this.columns.length - priceColumn - 1;
+        const summaryRows = this.shadowRoot.getElementById('summary-rows');
+        summaryRows.innerHTML = '';
+        rows.forEach(([label, amount, id]) => {
+            const row = summaryRows.insertRow();
+            const labelCell = row.insertCell();
+            labelCell.colSpan = Math.max(priceColumn, 1);
+            labelCell.textContent = label;
+            const amountCell = row.insertCell();
+            if (id) amountCell.id = id;
+            amountCell.textContent = this.priceFormatter.format(amount);
+            if (fillerColumns > 0) row.insertCell().colSpan = fillerColumns;
+        });
+    }
+
+    // Event handling
+
+    handleRowChange(event) {
+        const target = event.target;
+        const field = target.dataset.field;
+        if (!field) return;
+
+        const row = target.closest('tr');
+        const cell = target.closest('td');
+        const item = this.findLineItem(row.dataset.lineId);
+        const column = this.getColumn(field);
+        const value = column && isInputColumn(column)
+            ? parseFieldValue(column, target.type === 'checkbox' ? target.checked : target.value)
+            : target.value || null;
+
+        const error = this.validateField(field, value);
+        if (error) {
+            item.errors[cell.dataset.column] = error;
+            cell.setAttribute('data-error', error);
+            target.classList.add('invalid-input');
+            this.updateValidationState();
+            return;
+        }
+        delete item.errors[cell.dataset.column];
+        delete item.serverErrors[cell.dataset.column];
+        cell.removeAttribute('data-error');
+        target.classList.remove('invalid-input');
+
+        if (field === 'firingType') {
+            const loadTypes = getLoadTypes(value, this.config);
+            item.firingType = value;
+            item.loadType = loadTypes[0] || null;
+            item.dueDate = this.resolveDueDate(item.firingType, item.dueDate);
+            this.rerenderRow(item);
+        } else if (field === 'shape') {
+            // Errors on dimensions the new shape doesn't use go with their inputs
+            const { dimensions } = getShape(value);
+            this.columns
+                .filter(column => column.measure === 'length' && !isCustomColumn(column) && !dimensions.includes(column.name))
+                .forEach(column => delete item.errors[column.name]);
+            item.shape = value;
+            this.rerenderRow(item);
+        } else {
+            if (column && isInputColumn(column)) {
+                this.setFieldValue(item, column, value);
             } else {
-                cell.removeAttribute('data-error');
-                target.classList.remove('invalid-input');
+                item[field] = value;
             }
+            this.updateRowOutputs(item, row);
         }
 
-        this.calculateRowValues(row);
         this.updateTotalCost();
+        this.updateValidationState();
+        this.scheduleDraftSave();
+    }
+
+    // Same rules as the backend's schema check, see firing-worksheet-schema.js
+    validateField(field, value) {
+        const column = this.getColumn(field);
+        if (column && isInputColumn(column)) {
+            return validateFieldValue(column, value);
+        }
+        if (field === 'dueDate') {
+            return validateDueDate(value, this.config);
+        }
+        return null;
+    }
+
+    // Checks every field a line holds, including ones never edited, such as a
+    // due date from a draft that has since passed. Entries already marked
+    // invalid keep their error, since the line still holds the previous value.
+    validateLineItem(item) {
+        const { dimensions } = getShape(item.shape);
+        this.columns.forEach(column => {
+            if (item.errors[column.name]) return;
+
+            let error = null;
+            if (column.type === 'dueDate') {
+                error = validateDueDate(item.dueDate, this.config);
+            } else if (isInputColumn(column)) {
+                if (column.measure === 'length' && !isCustomColumn(column) && !dimensions.includes(column.name)) return;
+                error = validateFieldValue(column, this.getFieldValue(item, column));
+            }
+            if (error) {
+                item.errors[column.name] = error;
+                const cell = this.getCell(this.getRow(item), column.name);
+                if (cell) cell.setAttribute('data-error', error);
+            }
+        });
+    }
+
+    hasErrors() {
+        return this.lineItems.some(item => Object.keys(item.errors).length > 0);
+    }
+
+    // Highlights invalid rows; Submit stays disabled until every row is valid
+    updateValidationState() {
+        this.lineItems.forEach(item => {
+            const row = this.getRow(item);
+            if (row) row.classList.toggle('invalid-row', Object.keys(item.errors).length > 0);
+        });
+
+        const hasErrors = this.hasErrors();
+        this.shadowRoot.getElementById('submit-worksheet-button').disabled = hasErrors;
+        const message = this.shadowRoot.getElementById('submission-message');
+        if (!hasErrors && message.textContent === this.INVALID_WORKSHEET_MESSAGE) {
+            message.textContent = '';
+        }
     }
 
     handleDelete(event) {
-        if (event.target.tagName === 'BUTTON' && event.target.textContent === 'Delete') {
+        if (event.target.classList.contains('delete-row')) {
             const row = event.target.closest('tr');
+            this.lineItems = this.lineItems.filter(item => item.id !== row.dataset.lineId);
             row.remove();
             this.updateDeleteButtonState();
+            this.updateValidationState();
             this.updateTotalCost();
+            this.scheduleDraftSave();
         }
-        const totalRow = Array.from(this.dataRows.querySelectorAll('tr')).length
-        console.log('row', totalRow);
     }
 
-    validateInput(value) {
-        if (!value) return "Field required";
-        const num = parseInt(value);
-        if (isNaN(num)) return "Must be a number";
-        if (num <= 0) return "Must be positive";
-        if (num > this.MAX_DIMENSION) return `Max ${this.MAX_DIMENSION}`;
-        return null;
+    handleGalleryAction(event) {
+        const button = event.target.closest('.gallery-button');
+        if (!button) return;
+
+        const item = this.findLineItem(button.closest('tr').dataset.lineId);
+        const photos = item.photos;
+        const index = parseInt(button.dataset.index);
+
+        if (button.dataset.action === 'remove') {
+            photos.splice(index, 1);
+        } else {
+            const target = button.dataset.action === 'left' ? index - 1 : index + 1;
+            if (target < 0 || target >= photos.length) return;
+            [photos[index], photos[target]] = [photos[target], photos[index]];
+        }
+        this.renderPhotoGallery(item);
+        this.setRowUploadStatus(item, photos.length ? 'pending' : 'none');
+        this.scheduleDraftSave();
     }
+
     updateDeleteButtonState() {
         const rows = this.dataRows.querySelectorAll('tr');
-        const deleteButtons = this.dataRows.querySelectorAll('button');
+        const deleteButtons = this.dataRows.querySelectorAll('.delete-row');
 
         // If there's only one row, disable its delete button
         if (rows.length === 1) {
@@ -371,12 +1518,25 @@ class CeramicsFiringCalculator extends HTMLElement {
         }
     }
 
-    async processImage(file, row) {
+    // Photos
+
+    async processImages(files, item) {
+        const slots = this.MAX_PHOTOS_PER_ROW - item.photos.length;
+        if (files.length > slots) {
+            throw new Error(`Up to ${this.MAX_PHOTOS_PER_ROW} photos per row`);
+        }
+
+        for (const file of files) {
+            await this.processImage(file, item);
+        }
+    }
+
+    async processImage(file, item) {
         if (!file.type.startsWith('image/')) {
             throw new Error('Please upload an image file');
         }
 
-        if (file.size > this.MAX_FILE_SIZE) {
+        if (file.size > MAX_IMAGE_BYTES) {
             throw new Error('File size exceeds 5MB limit');
         }
 
@@ -387,17 +1547,12 @@ class CeramicsFiringCalculator extends HTMLElement {
                 this.createThumbnail(file)
             ]);
 
-            // Store both versions in the row's dataset
-            row.dataset.optimizedPhoto = optimizedImage;
-            
-            // Update preview cell with thumbnail
-            const previewCell = row.cells[row.cells.length - 2];
-            const img = document.createElement('img');
-            img.src = thumbnail;
-            img.alt = 'Preview';
-            img.className = 'thumbnail';
-            previewCell.innerHTML = '';
-            previewCell.appendChild(img);
+            // Keep the upload-ready version alongside its thumbnail
+            item.photos.push({ ...optimizedImage, thumbnail });
+
+            this.renderPhotoGallery(item);
+            this.setRowUploadStatus(item, 'pending');
+            this.scheduleDraftSave();
 
             return true;
         } catch (error) {
@@ -406,6 +1561,51 @@ class CeramicsFiringCalculator extends HTMLElement {
         }
     }
 
+    renderPhotoGallery(item, previewCell = this.getCell(this.getRow(item), 'preview')) {
+        let gallery = previewCell.querySelector('.gallery');
+        if (!gallery) {
+            gallery = document.createElement('div');
+            gallery.className = 'gallery';
+            previewCell.prepend(gallery);
+        }
+        gallery.innerHTML = '';
+
+        item.photos.forEach((photo, index) => {
+            const galleryItem = document.createElement('div');
+            galleryItem.className = 'gallery-item';
+
+            const img = document.createElement('img');
+            img.src = photo.thumbnail;
+            img.alt = `Photo ${index + 1}`;
+            img.className = 'thumbnail';
+            galleryItem.appendChild(img);
+
+            [['left', '◀', 'Move left'], ['right', '▶', 'Move right'], ['remove', '✕', 'Remove photo']]
+                .forEach(([action, text, title]) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'gallery-button';
+                    button.dataset.action = action;
+                    button.dataset.index = index;
+                    button.textContent = text;
+                    button.title = title;
+                    button.disabled = (action === 'left' && index === 0)
+                        || (action === 'right' && index === item.photos.length - 1);
+                    galleryItem.appendChild(button);
+                });
+            gallery.appendChild(galleryItem);
+        });
+
+        let statusLabel = previewCell.querySelector('.upload-status');
+        if (!statusLabel) {
+            statusLabel = document.createElement('span');
+            statusLabel.className = 'rule-note upload-status';
+            previewCell.appendChild(statusLabel);
+        }
+        statusLabel.textContent = this.UPLOAD_STATUS_LABELS[item.uploadStatus] || '';
+        statusLabel.dataset.status = item.uploadStatus;
+    }
+
     async createOptimizedImage(file) {
         return new Promise((resolve, reject) => {
             const img = new Image();
@@ -429,14 +1629,13 @@ class CeramicsFiringCalculator extends HTMLElement {
                 const ctx = canvas.getContext('2d');
                 ctx.drawImage(img, 0, 0, width, height);
 
-                // Convert to WebP if supported, fallback to JPEG
-                try {
-                    const webpData = canvas.toDataURL('image/webp', 0.8);
-                    resolve(webpData.split(',')[1]); // Return base64 without data URL prefix
-                } catch {
-                    const jpegData = canvas.toDataURL('image/jpeg', 0.8);
-                    resolve(jpegData.split(',')[1]);
+                // Convert to WebP if supported, fallback to JPEG. Browsers that
+                // can't encode WebP silently return PNG, so check what came back.
+                let image = parseDataUrl(canvas.toDataURL('image/webp', 0.8));
+                if (image.mimeType !== 'image/webp') {
+                    image = parseDataUrl(canvas.toDataURL('image/jpeg', 0.8));
                 }
+                resolve(image); // { mimeType, data } with base64 data, no data URL prefix
             };
             img.onerror = reject;
             img.src = URL.createObjectURL(file);
@@ -472,127 +1671,6 @@ class CeramicsFiringCalculator extends HTMLElement {
         });
     }
 
-    addRow() {
-        const row = document.createElement('tr');
-
-        // Firing type select
-        const firingTypeCell = document.createElement('td');
-        const firingTypeSelect = document.createElement('select');
-        Object.keys(this.FIRING_OPTIONS).forEach(type => {
-            const option = document.createElement('option');
-            option.value = type;
-            option.text = type;
-            firingTypeSelect.appendChild(option);
-        });
-        firingTypeCell.appendChild(firingTypeSelect);
-        row.appendChild(firingTypeCell);
-
-        // Unit cost
-        const unitCostCell = document.createElement('td');
-        const initialUnitCost = this.FIRING_OPTIONS[firingTypeSelect.value] || 0;
-        unitCostCell.textContent = this.USDformatter.format(initialUnitCost);
-        row.appendChild(unitCostCell);
-
-        // Dimension inputs (height, width, length)
-        ['height', 'width', 'length'].forEach(() => {
-            const cell = document.createElement('td');
-            const input = document.createElement('input');
-            input.type = 'number';
-            input.min = '1';
-            input.max = String(this.MAX_DIMENSION);
-            input.value = '1';
-            cell.appendChild(input);
-            row.appendChild(cell);
-        });
-
-        // Volume
-        const volumeCell = document.createElement('td');
-        volumeCell.textContent = '1';
-        row.appendChild(volumeCell);
-
-        // Quantity
-        const quantityCell = document.createElement('td');
-        const quantityInput = document.createElement('input');
-        quantityInput.type = 'number';
-        quantityInput.min = '1';
-        quantityInput.max = String(this.MAX_QUANTITY);
-        quantityInput.value = '1';
-        quantityCell.appendChild(quantityInput);
-        row.appendChild(quantityCell);
-
-        // Price
-        const priceCell = document.createElement('td');
-        priceCell.textContent = this.USDformatter.format(0);
-        row.appendChild(priceCell);
-
-        // Due date with inline date calculations
-        const minDate = new Date();
-        minDate.setDate(minDate.getDate() + this.MIN_DAYS_AHEAD);
-        const defaultDate = new Date();
-        defaultDate.setDate(defaultDate.getDate() + this.DEFAULT_DAYS_AHEAD);
-
-        const dueDateCell = document.createElement('td');
-        const dueDateInput = document.createElement('input');
-        dueDateInput.type = 'date';
-        dueDateInput.min = minDate.toISOString().split('T')[0];
-        dueDateInput.value = defaultDate.toISOString().split('T')[0];
-        dueDateCell.appendChild(dueDateInput);
-        row.appendChild(dueDateCell);
-
-        // Special directions
-        const directionsCell = document.createElement('td');
-        const directionsInput = document.createElement('textarea');
-        directionsCell.appendChild(directionsInput);
-        row.appendChild(directionsCell);
-
-        // Photo upload with immediate processing
-        const photoCell = document.createElement('td');
-        const photoInput = document.createElement('input');
-        photoInput.type = 'file';
-        photoInput.accept = 'image/jpeg,image/png,image/webp';
-        photoInput.addEventListener('change', async (event) => {
-            const file = event.target.files[0];
-            if (!file) return;
-
-            const row = event.target.closest('tr');
-            const loader = this.shadowRoot.getElementById('loader');
-            
-            try {
-                loader.classList.remove('hidden');
-                await this.processImage(file, row);
-            } catch (error) {
-                alert(error.message);
-                photoInput.value = ''; // Clear the input
-            } finally {
-                loader.classList.add('hidden');
-            }
-        });
-
-        photoCell.appendChild(photoInput);
-        row.appendChild(photoCell);
-
-        // Preview cell
-        const previewCell = document.createElement('td');
-        previewCell.className = 'preview-cell';
-        row.appendChild(previewCell);
-
-        // Existing code to append row...
-        this.dataRows.appendChild(row);
-        this.calculateRowValues(row);
-
-        // Delete button
-        const deleteCell = document.createElement('td');
-        const deleteButton = document.createElement('button');
-        deleteButton.textContent = 'Delete';
-        deleteCell.appendChild(deleteButton);
-        row.appendChild(deleteCell);
-
-        this.dataRows.appendChild(row);
-        this.calculateRowValues(row);
-        this.updateTotalCost();
-        this.updateDeleteButtonState()
-    }
-
     fileToBase64(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -602,75 +1680,91 @@ class CeramicsFiringCalculator extends HTMLElement {
         });
     }
 
-    calculateRowValues(row) {
-        const height = parseInt(row.cells[2].querySelector('input').value) || 0;
-        const width = parseInt(row.cells[3].querySelector('input').value) || 0;
-        const length = parseInt(row.cells[4].querySelector('input').value) || 0;
-        const quantity = parseInt(row.cells[6].querySelector('input').value) || 0;
-        const dueDate = row.cells[8].querySelector('input').value;
-
-        const volume = height * width * length;
-        const unitCost = parseFloat(row.cells[1].textContent.replace(/[^0-9.-]+/g, '')) || 0;
-        let price = volume * quantity * unitCost;
+    // Submission
 
-        if (dueDate) {
-            const daysDiff = Math.ceil((new Date(dueDate) - new Date()) / (1000 * 60 * 60 * 24));
-            if (daysDiff <= this.rushJobDays) {
-                price *= (1 + this.rushJobPremium / 100);
-            }
+    submitWorksheet() {
+        this.lineItems.forEach(item => this.validateLineItem(item));
+        if (this.hasErrors()) {
+            this.updateValidationState();
+            this.shadowRoot.getElementById('submission-message').textContent = this.INVALID_WORKSHEET_MESSAGE;
+            return;
         }
 
-        row.cells[5].textContent = volume;
-        row.cells[7].textContent = this.USDformatter.format(price);
-    }
-
-    updateTotalCost() {
-        const total = Array.from(this.dataRows.querySelectorAll('tr'))
-            .reduce((sum, row) => {
-                const price = parseFloat(row.cells[7].textContent.replace(/[^0-9.-]+/g, '')) || 0;
-                return sum + price;
-            }, 0);
-
-        const totalPriceCell = this.shadowRoot.getElementById('total-price');
-        totalPriceCell.textContent = this.USDformatter.format(total);
-    }
-
-    submitWorksheet() {
+        const canonicalItems = this.lineItems.map(item => this.toCanonicalItem(item));
+        const { lines, subtotal, discounts, fees, tax, total } = this.priceWorksheet();
+
+        // The payload carries every input column in the schema, with custom
+        // columns under fields, plus the computed pricing for each line.
+        // Lengths are in inches (unit), with the values as typed under entered.
+        const data = this.lineItems.map((item, index) => {
+            const canonical = canonicalItems[index];
+            const line = {
+                _id: item.id,
+                firingType: item.firingType,
+                loadType: item.loadType,
+                shape: item.shape,
+                height: canonical.height,
+                width: canonical.width,
+                length: canonical.length,
+                quantity: item.quantity,
+                dueDate: item.dueDate,
+                fields: {},
+                unit: CANONICAL_UNIT,
+                entered: { unit: this.unit },
+                currency: this.config.currency
+            };
+            this.columns.filter(isInputColumn).forEach(column => {
+                if (isCustomColumn(column)) {
+                    line.fields[column.name] = canonical.fields[column.name];
+                } else {
+                    line[column.name] = canonical[column.name];
+                }
+                if (column.measure === 'length') {
+                    line.entered[column.name] = this.getFieldValue(item, column);
+                }
+            });
 
-        const data = Array.from(this.dataRows.querySelectorAll('tr')).map(row => {
             return {
-                _id: this.generateProductID({
-                    firingType: row.cells[0].querySelector('select').value,
-                    height: parseInt(row.cells[2].querySelector('input').value),
-                    width: parseInt(row.cells[3].querySelector('input').value),
-                    length: parseInt(row.cells[4].querySelector('input').value)
-                }),
-                firingType: row.cells[0].querySelector('select').value,
-                unitCost: parseFloat(row.cells[1].textContent.replace(/[^0-9.-]+/g, '')),
-                height: parseInt(row.cells[2].querySelector('input').value),
-                width: parseInt(row.cells[3].querySelector('input').value),
-                length: parseInt(row.cells[4].querySelector('input').value),
-                volume: parseInt(row.cells[5].textContent),
-                quantity: parseInt(row.cells[6].querySelector('input').value),
-                price: parseFloat(row.cells[7].textContent.replace(/[^0-9.-]+/g, '')) / parseInt(row.cells[6].querySelector('input').value),
-                dueDate: row.cells[8].querySelector('input').value || null,
-                specialDirections: row.cells[9].querySelector('textarea').value || null,
-                photoBuffer: row.dataset.photoBuffer || null // Retrieve the photo buffer
+                ...line,
+                unitCost: lines[index].unitCost,
+                volume: lines[index].volume,
+                adjustment: lines[index].adjustment,
+                rushPremium: lines[index].rushPremium,
+                rushLabel: lines[index].rushLabel,
+                price: lines[index].unitPrice,
+                photos: item.photos.map(({ data, mimeType }) => ({ data, mimeType }))
             };
         });
-        this.dispatchEvent(new CustomEvent('submitWorksheet', {
-            detail: { data }
-        }));
-    }
 
-    generateProductID({ firingType, height, width, length }) {
-        const rawID = `${firingType}-${height}-${width}-${length}`;
-        let hash = 0;
-        for (let i = 0; i < rawID.length; i++) {
-            hash = (hash << 5) - hash + rawID.charCodeAt(i);
-            hash |= 0;
+        this.submittedLineIds = this.lineItems.map(item => item.id);
+        this.lineItems.filter(item => item.photos.length)
+            .forEach(item => this.setRowUploadStatus(item, 'uploading'));
+
+        // The backend revalidates the promo code and membership before applying them.
+        const summary = {
+            worksheetId: this.worksheetId,
+            sessionId: this.sessionId,
+            promoCode: this.promoCode,
+            member: this.member,
+            subtotal,
+            discounts,
+            fees,
+            tax,
+            total
+        };
+        // Each attempt gets a new idempotency key. Submitting the same content again
+        // before the host page reports back retries that attempt, so a double click
+        // can't add the worksheet twice; afterwards, failed photos can be retried and
+        // a worksheet that was already checked out can be ordered again.
+        const content = JSON.stringify({ data, summary });
+        if (!this.pendingSubmission || this.pendingSubmission.content !== content) {
+            this.pendingSubmission = { key: generateWorksheetId(), content };
         }
-        return `${Math.abs(hash)}`;
+        summary.idempotencyKey = this.pendingSubmission.key;
+        this.shadowRoot.getElementById('submission-message').textContent = '';
+        this.dispatchEvent(new CustomEvent('submitWorksheet', {
+            detail: { data, summary }
+        }));
     }
 }
 
@@ -0,0 +1,137 @@
+/**
+ * Tests for customer notifications, run with `npm test` against fake
+ * transports and the in-memory Wix modules in mocks/.
+ */
+
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetData } from './mocks/wix-data.js';
+import { emails, resetEmails } from './mocks/wix-crm-backend.js';
+import {
+    createFakeTransport,
+    createWixEmailTransport,
+    getPreferences,
+    normalizePreferences,
+    notifyStatusChange,
+    renderTemplate,
+    savePreferences,
+    setTransport
+} from '../firing-worksheet-notifications.js';
+
+const LINE = {
+    key: 'order-1:line-1',
+    orderNumber: 10042,
+    shape: 'Box',
+    height: 10,
+    width: 8,
+    length: 6,
+    quantity: 2,
+    firingType: 'Bisque',
+    dueDate: '2026-03-12'
+};
+
+const BUYER = {
+    memberId: 'member-1',
+    contactId: 'contact-1',
+    firstName: 'Sam',
+    email: 'sam@example.com',
+    phone: '+15555550100'
+};
+
+beforeEach(() => {
+    resetData();
+    resetEmails();
+});
+
+afterEach(() => {
+    setTransport('email', undefined);
+    setTransport('sms', undefined);
+});
+
+describe('renderTemplate', () => {
+    it('fills in placeholders and leaves unknown ones empty', () => {
+        assert.equal(renderTemplate('Hi {{ firstName }}, {{missing}}#{{orderNumber}}', { firstName: 'Sam', orderNumber: 7 }), 'Hi Sam, #7');
+    });
+});
+
+describe('preferences', () => {
+    it('keep only statuses and channels that exist', () => {
+        assert.deepEqual(normalizePreferences({ email: ['ready', 'lost'], sms: 'ready', fax: ['ready'] }), {
+            email: ['ready'],
+            sms: []
+        });
+    });
+
+    it('are saved per member, with defaults for everyone else', async () => {
+        await savePreferences('member-1', { email: [], sms: ['ready'] });
+        assert.deepEqual(await getPreferences('member-1'), { email: [], sms: ['ready'] });
+        assert.deepEqual((await getPreferences(null)).sms, []);
+    });
+});
+
+describe('notifyStatusChange', () => {
+    it('sends the rendered message on each channel the customer chose', async () => {
+        const email = createFakeTransport();
+        const sms = createFakeTransport();
+        setTransport('email', email);
+        setTransport('sms', sms);
+        await savePreferences('member-1', { email: ['ready'], sms: ['ready'] });
+
+        const results = await notifyStatusChange(LINE, BUYER, 'ready');
+        assert.deepEqual(results, [{ channel: 'email', result: 'sent' }, { channel: 'sms', result: 'sent' }]);
+        assert.deepEqual(email.sent, [{
+            channel: 'email',
+            to: BUYER,
+            subject: 'Order #10042 is ready for pickup',
+            body: 'Hi Sam, your Box, 10 × 8 × 6 in (2) from the Bisque firing is ready for pickup.'
+        }]);
+        assert.equal(sms.sent.length, 1);
+    });
+
+    it('leaves out statuses without a template and channels the customer turned off', async () => {
+        const email = createFakeTransport();
+        setTransport('email', email);
+        await savePreferences('member-1', { email: ['ready'], sms: [] });
+
+        assert.deepEqual(await notifyStatusChange(LINE, BUYER, 'loaded'), []);
+        assert.deepEqual(await notifyStatusChange(LINE, BUYER, 'fired'), []);
+        assert.equal(email.sent.length, 0);
+    });
+
+    it('skips channels without a transport or a recipient address', async () => {
+        setTransport('email', createFakeTransport());
+        await savePreferences('member-1', { email: ['ready'], sms: ['ready'] });
+
+        const results = await notifyStatusChange(LINE, { ...BUYER, email: null }, 'ready');
+        assert.deepEqual(results, [
+            { channel: 'email', result: 'skipped', error: 'No address' },
+            { channel: 'sms', result: 'skipped', error: 'No transport' }
+        ]);
+    });
+
+    it('checks the recipient field the transport sends to', async () => {
+        setTransport('email', createWixEmailTransport('firing-status'));
+
+        const skipped = await notifyStatusChange(LINE, { ...BUYER, contactId: null }, 'ready');
+        assert.deepEqual(skipped, [{ channel: 'email', result: 'skipped', error: 'No address' }]);
+
+        const sent = await notifyStatusChange(LINE, { ...BUYER, email: null }, 'ready');
+        assert.deepEqual(sent, [{ channel: 'email', result: 'sent' }]);
+        assert.deepEqual(emails.map(({ emailId, contactId }) => [emailId, contactId]), [['firing-status', 'contact-1']]);
+    });
+
+    it('reports a transport that fails without stopping the others', async t => {
+        t.mock.method(console, 'error', () => {});
+        const sms = createFakeTransport();
+        setTransport('email', { send: async () => { throw new Error('Mailbox full'); } });
+        setTransport('sms', sms);
+        await savePreferences('member-1', { email: ['problem'], sms: ['problem'] });
+
+        const results = await notifyStatusChange(LINE, BUYER, 'problem', 'A lid cracked.');
+        assert.deepEqual(results, [
+            { channel: 'email', result: 'failed', error: 'Mailbox full' },
+            { channel: 'sms', result: 'sent' }
+        ]);
+        assert.match(sms.sent[0].body, /: A lid cracked\. Please contact the studio\.$/);
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * Tests for the pricing engine, run with `npm test`.
+ * Pricing is pure, so these need nothing but Node.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG, mergeConfig } from '../firing-worksheet-config.js';
+import {
+    getFiringRule, getPromotion, getRushBand, priceLineItem, priceWorksheet
+} from '../firing-worksheet-pricing.js';
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+
+const GLAZE = {
+    rate: 0.05,
+    minimum: 2,
+    tiers: [{ minVolume: 1000, rate: 0.04 }, { minVolume: 5000, rate: 0.03 }],
+    loads: {
+        'Shelf Share': {},
+        'Full Kiln': { rate: 0, flatFee: 150 }
+    }
+};
+
+/**
+ * @param {Object} [overrides] - Values to merge over the defaults.
+ * @returns {Object} - Configuration with a single three-day rush band.
+ */
+function createConfig(overrides = {}) {
+    return mergeConfig(DEFAULT_CONFIG, {
+        firingOptions: { ...DEFAULT_CONFIG.firingOptions, Glaze: GLAZE },
+        rushSchedule: [{ maxDays: 3, premium: 25, label: 'Rush' }],
+        ...overrides
+    });
+}
+
+/**
+ * @param {Object} [fields] - Line fields to set.
+ * @returns {Object} - A 10 × 10 × 10 in Bisque line with no due date.
+ */
+function createItem(fields = {}) {
+    return { firingType: 'Bisque', height: 10, width: 10, length: 10, quantity: 1, dueDate: '', ...fields };
+}
+
+describe('getFiringRule', () => {
+    it('reads a flat rate', () => {
+        assert.deepEqual(getFiringRule('Bisque', undefined, createConfig()), { rate: 0.04, minimum: 0, flatFee: 0, tiers: [] });
+    });
+
+    it('rejects unknown firing types, and loads on types without them', () => {
+        const config = createConfig();
+        assert.equal(getFiringRule('Raku', undefined, config), null);
+        assert.equal(getFiringRule('Bisque', 'Full Kiln', config), null);
+        assert.equal(getFiringRule('Glaze', 'Half Kiln', config), null);
+    });
+
+    it('uses the first load by default and sorts tiers from the highest volume', () => {
+        assert.deepEqual(getFiringRule('Glaze', undefined, createConfig()), {
+            rate: 0.05,
+            minimum: 2,
+            flatFee: 0,
+            tiers: [{ minVolume: 5000, rate: 0.03 }, { minVolume: 1000, rate: 0.04 }]
+        });
+    });
+
+    it("doesn't give a load with its own rate the base tiers", () => {
+        assert.deepEqual(getFiringRule('Glaze', 'Full Kiln', createConfig()), { rate: 0, minimum: 2, flatFee: 150, tiers: [] });
+    });
+});
+
+describe('getRushBand', () => {
+    const config = createConfig({
+        rushSchedule: [
+            { maxDays: 3, premium: 25, label: 'Rush' },
+            { maxDays: 1, premium: 100, label: 'Next day', firingTypes: ['Bisque'] }
+        ]
+    });
+
+    it('picks the shortest band the lead time fits', () => {
+        assert.equal(getRushBand('Bisque', '2026-03-03', config, NOW).label, 'Next day');
+        assert.equal(getRushBand('Bisque', '2026-03-05', config, NOW).label, 'Rush');
+    });
+
+    it('skips bands limited to other firing types', () => {
+        assert.equal(getRushBand('Glaze', '2026-03-03', config, NOW).label, 'Rush');
+    });
+
+    it('returns null without a due date or outside every band', () => {
+        assert.equal(getRushBand('Bisque', '', config, NOW), null);
+        assert.equal(getRushBand('Bisque', '2026-03-10', config, NOW), null);
+    });
+});
+
+describe('priceLineItem', () => {
+    it('charges volume times rate per piece', () => {
+        const price = priceLineItem(createItem({ quantity: 2 }), createConfig(), NOW);
+        assert.equal(price.volume, 1000);
+        assert.equal(price.unitPrice, 40);
+        assert.equal(price.linePrice, 80);
+        assert.equal(price.rule, 'Standard rate');
+        assert.equal(price.rushLabel, null);
+    });
+
+    it('picks the volume tier from the whole line', () => {
+        const config = createConfig();
+        const single = priceLineItem(createItem({ firingType: 'Glaze' }), config, NOW);
+        const five = priceLineItem(createItem({ firingType: 'Glaze', quantity: 5 }), config, NOW);
+        assert.equal(single.unitPrice, 40);
+        assert.equal(single.rule, 'Volume tier ≥ 1000 in³');
+        assert.equal(five.unitPrice, 30);
+        assert.equal(five.rule, 'Volume tier ≥ 5000 in³');
+    });
+
+    it('charges at least the minimum per piece', () => {
+        const price = priceLineItem(createItem({ firingType: 'Glaze', height: 2, width: 2, length: 2 }), createConfig(), NOW);
+        assert.equal(price.unitPrice, 2);
+        assert.equal(price.rule, 'Minimum charge');
+    });
+
+    it('spreads a flat fee across the pieces of a load', () => {
+        const price = priceLineItem(createItem({ firingType: 'Glaze', loadType: 'Full Kiln', quantity: 3 }), createConfig(), NOW);
+        assert.equal(price.unitPrice, 50);
+        assert.equal(price.linePrice, 150);
+        assert.equal(price.rule, 'Flat fee');
+    });
+
+    it('adds the rush premium', () => {
+        const price = priceLineItem(createItem({ dueDate: '2026-03-05' }), createConfig(), NOW);
+        assert.equal(price.rushPremium, 25);
+        assert.equal(price.rushLabel, 'Rush +25%');
+        assert.equal(price.unitPrice, 50);
+    });
+
+    it('rounds to the currency', () => {
+        const price = priceLineItem(createItem({ height: 3, width: 3, length: 3 }), createConfig({ currency: 'JPY' }), NOW);
+        assert.equal(price.unitPrice, 1);
+    });
+
+    it('rejects unknown firing types', () => {
+        assert.throws(() => priceLineItem(createItem({ firingType: 'Raku' }), createConfig(), NOW), /Unknown firing type: Raku/);
+    });
+});
+
+describe('getPromotion', () => {
+    const promoCodes = {
+        SPRING10: { label: 'Spring sale', percent: 10, expires: '2026-05-31' },
+        FIVEOFF: { amount: 5 }
+    };
+
+    it('matches codes case-insensitively', () => {
+        assert.deepEqual(getPromotion(' spring10 ', promoCodes, NOW), { code: 'SPRING10', label: 'Spring sale', percent: 10, amount: 0 });
+        assert.equal(getPromotion('fiveoff', promoCodes, NOW).label, 'Promo FIVEOFF');
+    });
+
+    it('honours the code through its last day', () => {
+        assert.notEqual(getPromotion('SPRING10', promoCodes, new Date('2026-05-31T12:00:00Z')), null);
+        assert.equal(getPromotion('SPRING10', promoCodes, new Date('2026-06-01T12:00:00Z')), null);
+    });
+
+    it('returns null for unknown or missing codes', () => {
+        assert.equal(getPromotion('WINTER', promoCodes, NOW), null);
+        assert.equal(getPromotion('', promoCodes, NOW), null);
+        assert.equal(getPromotion(null, promoCodes, NOW), null);
+    });
+});
+
+describe('priceWorksheet', () => {
+    // 80.00 and 20.00: seven pieces, 100.00 in all
+    const items = [
+        createItem({ quantity: 2 }),
+        createItem({ height: 4, width: 5, length: 5, quantity: 5 })
+    ];
+    const spring = { code: 'SPRING10', label: 'Spring sale', percent: 10, amount: 0 };
+    const fiveOff = { code: 'FIVEOFF', label: 'Five off', percent: 0, amount: 5 };
+
+    it('totals the lines', () => {
+        const price = priceWorksheet(items, createConfig(), NOW);
+        assert.equal(price.subtotal, 100);
+        assert.equal(price.totalQuantity, 7);
+        assert.deepEqual(price.discounts, []);
+        assert.deepEqual(price.fees, []);
+        assert.equal(price.tax, null);
+        assert.equal(price.total, 100);
+    });
+
+    it('compounds the member discount and a promotion into each unit price', () => {
+        const config = createConfig({ memberDiscount: { label: 'Member discount', percent: 10 } });
+        const price = priceWorksheet(items, config, NOW, { promotion: spring, member: true });
+        assert.deepEqual(price.discounts, [
+            { label: 'Member discount', code: null, amount: 10 },
+            { label: 'Spring sale', code: 'SPRING10', amount: 9 }
+        ]);
+        assert.deepEqual(price.lines.map(line => line.discountedUnitPrice), [32.4, 3.24]);
+        assert.equal(price.total, 81);
+    });
+
+    it('leaves out the member discount for non-members', () => {
+        const config = createConfig({ memberDiscount: { label: 'Member discount', percent: 10 } });
+        const price = priceWorksheet(items, config, NOW);
+        assert.equal(price.promotion, null);
+        assert.deepEqual(price.discounts, []);
+        assert.equal(price.total, 100);
+    });
+
+    it('spreads a fixed promo amount across the lines', () => {
+        const price = priceWorksheet(items, createConfig(), NOW, { promotion: fiveOff });
+        assert.deepEqual(price.lines.map(line => line.discountedLinePrice), [76, 19]);
+        assert.deepEqual(price.discounts, [{ label: 'Five off', code: 'FIVEOFF', amount: 5 }]);
+        assert.equal(price.total, 95);
+    });
+
+    it('adds fees and then estimated tax', () => {
+        const config = createConfig({
+            fees: [
+                { label: 'Kiln wash', amount: 2, per: 'piece' },
+                { label: 'Studio fee', percent: 5 },
+                { label: 'Waived', amount: 0 }
+            ],
+            taxRate: 8
+        });
+        const price = priceWorksheet(items, config, NOW);
+        assert.deepEqual(price.fees, [{ label: 'Kiln wash', amount: 14 }, { label: 'Studio fee', amount: 5 }]);
+        assert.deepEqual(price.tax, { label: 'Estimated sales tax', rate: 8, amount: 9.52 });
+        assert.equal(price.total, 128.52);
+    });
+});
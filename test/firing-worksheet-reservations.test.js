@@ -0,0 +1,125 @@
+/**
+ * Tests for kiln capacity holds, run with `npm test` against the in-memory
+ * wix-data and cart in mocks/.
+ */
+
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection, resetData } from './mocks/wix-data.js';
+import { checkOut, currentCart, cart, resetCart } from './mocks/wix-ecom-backend.js';
+import { DEFAULT_CONFIG, mergeConfig } from '../firing-worksheet-config.js';
+import {
+    commitFiringCapacity,
+    confirmOrderReservations,
+    getReservedVolume,
+    holdFiringCapacity,
+    releaseFiringCapacity
+} from '../firing-worksheet-reservations.js';
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+const LATER = new Date('2026-03-03T12:00:01Z');
+const FIRING_DATE = '2026-03-12';
+
+const config = mergeConfig(DEFAULT_CONFIG, {
+    firingCalendar: { Bisque: { weekdays: [4], capacity: 1000 } }
+});
+
+/**
+ * @param {number} volume - Cubic inches to hold.
+ * @returns {Array<Object>} - A request for the Bisque firing on FIRING_DATE.
+ */
+function request(volume) {
+    return [{ firingType: 'Bisque', firingDate: FIRING_DATE, volume }];
+}
+
+/**
+ * @param {Date} [now] - Reference date.
+ * @returns {Promise<number>} - Volume held in the Bisque firing on FIRING_DATE.
+ */
+async function getHeld(now = NOW) {
+    return (await getReservedVolume('Bisque', FIRING_DATE, { now })).get(FIRING_DATE) || 0;
+}
+
+beforeEach(() => {
+    resetData();
+    resetCart();
+});
+
+describe('holdFiringCapacity', () => {
+    it('holds room until the firing is full', async () => {
+        const { holds } = await holdFiringCapacity(request(600), 'worksheet-1', null, config, NOW);
+        assert.equal(holds.length, 1);
+
+        const { holds: none, full } = await holdFiringCapacity(request(600), 'worksheet-2', null, config, NOW);
+        assert.deepEqual(none, []);
+        assert.deepEqual(full, [{ firingType: 'Bisque', firingDate: FIRING_DATE, volume: 600, remaining: 400 }]);
+        assert.equal(await getHeld(), 600);
+    });
+
+    it("doesn't overbook when submissions are made together", async () => {
+        const results = await Promise.all([
+            holdFiringCapacity(request(600), 'worksheet-1', null, config, NOW),
+            holdFiringCapacity(request(600), 'worksheet-2', null, config, NOW)
+        ]);
+        assert.ok(results.filter(({ holds }) => holds.length).length <= 1);
+        assert.ok(await getHeld() <= 1000);
+    });
+
+    it('lets unpaid holds expire', async () => {
+        await holdFiringCapacity(request(1000), 'worksheet-1', 'cart-1', config, NOW);
+        assert.equal(await getHeld(LATER), 0);
+        const { holds } = await holdFiringCapacity(request(1000), 'worksheet-2', null, config, LATER);
+        assert.equal(holds.length, 1);
+    });
+
+    it('lets a resubmission to the same cart replace its earlier holds', async () => {
+        await holdFiringCapacity(request(800), 'worksheet-1', 'cart-1', config, NOW);
+        const same = await holdFiringCapacity(request(900), 'worksheet-1', 'cart-1', config, NOW);
+        assert.equal(same.holds.length, 1);
+        await releaseFiringCapacity(same.holds);
+
+        const otherCart = await holdFiringCapacity(request(900), 'worksheet-1', 'cart-2', config, NOW);
+        assert.equal(otherCart.full.length, 1);
+    });
+});
+
+describe('getReservedVolume', () => {
+    it('counts more holds than fit in one page', async () => {
+        const expiresAt = new Date('2026-03-03T12:00:00Z');
+        getCollection('FiringReservations').push(...Array.from({ length: 1500 }, (_, index) => ({
+            _id: `hold-${index}`, firingType: 'Bisque', firingDate: FIRING_DATE, volume: 1, expiresAt
+        })));
+        assert.equal(await getHeld(), 1500);
+    });
+});
+
+describe('commitFiringCapacity', () => {
+    it('tags new holds with the cart and drops the ones they replace', async () => {
+        const first = await holdFiringCapacity(request(300), 'worksheet-1', null, config, NOW);
+        const newCart = await cart.createCart({ customLineItems: [] });
+        await commitFiringCapacity(first.holds, newCart, 'worksheet-1');
+
+        const second = await holdFiringCapacity(request(500), 'worksheet-1', newCart._id, config, NOW);
+        await commitFiringCapacity(second.holds, await currentCart.getCurrentCart(), 'worksheet-1');
+
+        const records = getCollection('FiringReservations');
+        assert.deepEqual(records.map(({ volume, cartId }) => [volume, cartId]), [[500, newCart._id]]);
+    });
+});
+
+describe('confirmOrderReservations', () => {
+    it("keeps the order's holds until their firing", async () => {
+        const newCart = await cart.createCart({ customLineItems: [] });
+        const { holds } = await holdFiringCapacity(request(300), 'worksheet-1', newCart._id, config, NOW);
+        await commitFiringCapacity(holds, newCart, 'worksheet-1');
+        await holdFiringCapacity(request(200), 'worksheet-2', newCart._id, config, NOW);
+
+        const order = {
+            checkoutId: checkOut(),
+            lineItems: [{ catalogReference: { options: { WorksheetId: 'worksheet-1' } } }]
+        };
+        assert.equal(await confirmOrderReservations(order), 1);
+        assert.equal(await getHeld(LATER), 300);
+        assert.equal(await getHeld(new Date('2026-03-13T00:00:01Z')), 0);
+    });
+});
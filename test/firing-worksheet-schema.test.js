@@ -0,0 +1,60 @@
+/**
+ * Tests for submitted line validation, run with `npm test`.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG } from '../firing-worksheet-config.js';
+import { getDefaultColumns, resolveColumns } from '../firing-worksheet-columns.js';
+import { validateWorksheetLine } from '../firing-worksheet-schema.js';
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+const DEFAULT_COLUMNS = resolveColumns(DEFAULT_CONFIG);
+
+/**
+ * @param {Object} [fields] - Line fields to set.
+ * @returns {Object} - A valid 10 × 10 × 10 in Bisque box, as the component submits it.
+ */
+function createLine(fields = {}) {
+    return {
+        firingType: 'Bisque', shape: 'box', height: 10, width: 10, length: 10, quantity: 1,
+        dueDate: '2026-03-10', specialDirections: '', fields: {}, ...fields
+    };
+}
+
+/**
+ * @param {Array<Object>} extra - Columns to add to the default schema.
+ * @param {Array<string>} [leaveOut] - Names of default columns to drop.
+ * @returns {Array<Object>} - Resolved schema.
+ */
+function createColumns(extra, leaveOut = []) {
+    const columns = getDefaultColumns(DEFAULT_CONFIG)
+        .filter(({ name }) => !leaveOut.includes(name))
+        .map(({ name }) => ({ name }));
+    return resolveColumns(DEFAULT_CONFIG, [...columns, ...extra]);
+}
+
+describe('validateWorksheetLine', () => {
+    it('accepts a valid line', () => {
+        assert.deepEqual(validateWorksheetLine(createLine(), DEFAULT_COLUMNS, DEFAULT_CONFIG, NOW), []);
+    });
+
+    it('rejects built-in fields the schema leaves out', () => {
+        const columns = createColumns([], ['shape', 'specialDirections']);
+        assert.deepEqual(validateWorksheetLine(createLine(), columns, DEFAULT_CONFIG, NOW), []);
+
+        const line = createLine({ shape: 'cylinder', specialDirections: 'Fire on the top shelf' });
+        assert.deepEqual(validateWorksheetLine(line, columns, DEFAULT_CONFIG, NOW), [
+            { field: 'shape', message: 'Not a worksheet field' },
+            { field: 'specialDirections', message: 'Not a worksheet field' }
+        ]);
+    });
+
+    it('checks custom length columns, which no shape leaves out', () => {
+        const columns = createColumns([{ name: 'rimWidth', label: 'Rim', type: 'number', measure: 'length', min: 1, max: 4 }]);
+        const line = createLine({ fields: { rimWidth: 9 }, entered: { unit: 'in', rimWidth: 9 } });
+        assert.deepEqual(validateWorksheetLine(line, columns, DEFAULT_CONFIG, NOW), [
+            { field: 'rimWidth', message: 'Max 4' }
+        ]);
+    });
+});
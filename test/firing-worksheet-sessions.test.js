@@ -0,0 +1,184 @@
+/**
+ * Tests for the web methods' abuse protection, run with `npm test` against
+ * the in-memory wix-data in mocks/.
+ */
+
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection, resetData } from './mocks/wix-data.js';
+import { DEFAULT_CONFIG, mergeConfig } from '../firing-worksheet-config.js';
+import {
+    LimitError,
+    checkRateLimit,
+    createSession,
+    getActiveSession,
+    getOwner,
+    issueUploadToken,
+    redeemUploadToken,
+    releaseUploadQuota,
+    reserveUploadQuota
+} from '../firing-worksheet-sessions.js';
+
+const NOW = new Date('2026-03-02T12:00:30Z');
+const MEGABYTE = 1024 * 1024;
+
+/**
+ * @param {Object} [overrides] - Values to merge over the defaults.
+ * @returns {Object} - Configuration.
+ */
+function createConfig(overrides = {}) {
+    return mergeConfig(DEFAULT_CONFIG, overrides);
+}
+
+/**
+ * @param {string} visitorId - Visitor ID, or a member ID when member is set.
+ * @param {boolean} [member] - Whether the session belongs to a logged-in member.
+ * @returns {Promise<Object>} - A new session record.
+ */
+function startSession(visitorId, member = false) {
+    const memberId = member ? visitorId : null;
+    return createSession(getOwner(memberId, visitorId), memberId, createConfig(), NOW);
+}
+
+/**
+ * @param {Array<Promise>} calls - Calls made together.
+ * @returns {Promise<Array<string>>} - "ok" or the LimitError message of each call.
+ */
+async function settle(calls) {
+    const results = await Promise.allSettled(calls);
+    return results.map(({ status, reason }) => {
+        if (status === 'fulfilled') return 'ok';
+        assert.ok(reason instanceof LimitError, reason);
+        return reason.message;
+    });
+}
+
+beforeEach(() => resetData());
+
+describe('checkRateLimit', () => {
+    const config = createConfig({ rateLimits: { submit: { limit: 2, windowSeconds: 60 } } });
+
+    it('refuses calls over the limit until the window ends', async () => {
+        await checkRateLimit('submit', 'visitor:abcdefgh', config, NOW);
+        await checkRateLimit('submit', 'visitor:abcdefgh', config, NOW);
+        await assert.rejects(
+            checkRateLimit('submit', 'visitor:abcdefgh', config, NOW),
+            { name: 'LimitError', message: 'Too many requests, please try again in 30 seconds' }
+        );
+        await checkRateLimit('submit', 'visitor:abcdefgh', config, new Date('2026-03-02T12:01:00Z'));
+    });
+
+    it('counts each caller separately', async () => {
+        await checkRateLimit('submit', 'visitor:abcdefgh', config, NOW);
+        await checkRateLimit('submit', 'visitor:abcdefgh', config, NOW);
+        await checkRateLimit('submit', 'visitor:ijklmnop', config, NOW);
+    });
+
+    it('holds when calls are made together', async t => {
+        t.mock.method(console, 'warn', () => {});
+        const calls = Array.from({ length: 3 }, () => checkRateLimit('submit', 'visitor:abcdefgh', config, NOW));
+        assert.deepEqual((await settle(calls)).sort(), [
+            'Too many requests, please try again in 30 seconds', 'ok', 'ok'
+        ]);
+    });
+
+    it('falls back to the default limit for actions the configuration leaves out', async () => {
+        await checkRateLimit('upload', 'visitor:abcdefgh', { ...config, rateLimits: {} }, NOW);
+        assert.equal(getCollection('FiringRateLimits').length, 1);
+    });
+});
+
+describe('sessions', () => {
+    it('belong to the member, or to the visitor ID when not logged in', () => {
+        assert.equal(getOwner('member-1', 'abcdefgh'), 'member:member-1');
+        assert.equal(getOwner(null, 'abcdefgh'), 'visitor:abcdefgh');
+        assert.throws(() => getOwner(null, undefined), LimitError);
+        assert.throws(() => getOwner(null, 'a b'), LimitError);
+    });
+
+    it('expire after sessionHours', async () => {
+        const session = await startSession('abcdefgh');
+        assert.equal((await getActiveSession(session._id, NOW)).owner, 'visitor:abcdefgh');
+        await assert.rejects(getActiveSession(session._id, new Date('2026-03-03T12:00:30Z')), LimitError);
+        await assert.rejects(getActiveSession('not-a-session', NOW), LimitError);
+    });
+});
+
+describe('upload tokens', () => {
+    it('can be used once', async () => {
+        const session = await startSession('abcdefgh');
+        const { token } = await issueUploadToken(session, NOW);
+        assert.equal((await redeemUploadToken(token, NOW))._id, session._id);
+        await assert.rejects(redeemUploadToken(token, NOW), LimitError);
+    });
+
+    it('can be used once even by calls made together', async () => {
+        const session = await startSession('abcdefgh');
+        const { token } = await issueUploadToken(session, NOW);
+        const results = await settle([redeemUploadToken(token, NOW), redeemUploadToken(token, NOW)]);
+        assert.deepEqual(results.sort(), ['Upload token is invalid or has expired', 'ok']);
+    });
+
+    it('expire', async () => {
+        const session = await startSession('abcdefgh');
+        const { token } = await issueUploadToken(session, NOW);
+        await assert.rejects(redeemUploadToken(token, new Date('2026-03-02T12:10:30Z')), LimitError);
+    });
+});
+
+describe('upload quota', () => {
+    const config = createConfig({ uploadQuota: { files: 3, megabytes: 2, visitorsTotal: { files: 4 } } });
+
+    it('is shared by every session of the same visitor', async () => {
+        const first = await startSession('abcdefgh');
+        const second = await startSession('abcdefgh');
+        await reserveUploadQuota(first, 2, MEGABYTE, config, NOW);
+        await assert.rejects(
+            reserveUploadQuota(second, 2, MEGABYTE, config, NOW),
+            { message: 'Photo upload limit reached (3 photos or 2MB per day)' }
+        );
+        await reserveUploadQuota(second, 1, MEGABYTE, config, NOW);
+        await assert.rejects(reserveUploadQuota(second, 1, 1, config, NOW), LimitError);
+    });
+
+    it('starts afresh in the next window', async () => {
+        const session = await startSession('abcdefgh');
+        await reserveUploadQuota(session, 3, MEGABYTE, config, NOW);
+        await reserveUploadQuota(session, 3, MEGABYTE, config, new Date('2026-03-03T00:00:00Z'));
+    });
+
+    it('holds when reservations are made together', async t => {
+        t.mock.method(console, 'warn', () => {});
+        const session = await startSession('abcdefgh');
+        const results = await settle(Array.from({ length: 6 }, () => reserveUploadQuota(session, 1, 10, config, NOW)));
+        assert.equal(results.filter(result => result === 'ok').length, 3);
+        await assert.rejects(reserveUploadQuota(session, 1, 10, config, NOW), LimitError);
+    });
+
+    it('caps visitors who are not logged in together, but not members', async () => {
+        await reserveUploadQuota(await startSession('abcdefgh'), 3, 10, config, NOW);
+        await assert.rejects(
+            reserveUploadQuota(await startSession('ijklmnop'), 2, 10, config, NOW),
+            { message: 'Photo uploads are busy right now, please log in or try again later' }
+        );
+        await reserveUploadQuota(await startSession('member-1', true), 3, 10, config, NOW);
+    });
+
+    it('gives back released uploads', async () => {
+        const session = await startSession('abcdefgh');
+        const reservation = await reserveUploadQuota(session, 3, 10, config, NOW);
+        await releaseUploadQuota(reservation);
+        await reserveUploadQuota(session, 3, 10, config, NOW);
+    });
+
+    it("gives back a visitor's uploads when the total is full", async () => {
+        await reserveUploadQuota(await startSession('abcdefgh'), 3, 10, config, NOW);
+        const other = await startSession('ijklmnop');
+        await assert.rejects(reserveUploadQuota(other, 2, 10, config, NOW), LimitError);
+
+        const counter = getCollection('FiringUploadQuotas')
+            .filter(({ quotaKey }) => quotaKey.startsWith('visitor:ijklmnop:'))
+            .sort((a, b) => b.revision - a.revision)[0];
+        assert.equal(counter.files, 0);
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for spreadsheet import and export, run with `npm test`.
+ * The parsers are pure, so these need nothing but Node.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CONFIG, mergeConfig } from '../firing-worksheet-config.js';
+import { resolveColumns } from '../firing-worksheet-columns.js';
+import { priceWorksheet } from '../firing-worksheet-pricing.js';
+import { exportWorksheetRows, importWorksheetRows, parseCsv, toCsv } from '../firing-worksheet-spreadsheet.js';
+
+const NOW = new Date('2026-03-02T12:00:00Z');
+
+const config = mergeConfig(DEFAULT_CONFIG, {
+    firingOptions: {
+        ...DEFAULT_CONFIG.firingOptions,
+        Glaze: { rate: 0.05, loads: { 'Shelf Share': {}, 'Full Kiln': { rate: 0, flatFee: 150 } } }
+    },
+    maxImportRows: 10
+});
+const columns = resolveColumns(config);
+
+/**
+ * @param {Array<Array<string>>} rows - Rows of cells, the first being the header.
+ * @param {Object} [options] - Options to change.
+ * @returns {Object} - { lines, errors } from importWorksheetRows.
+ */
+function importRows(rows, options = {}) {
+    return importWorksheetRows(rows, { columns, config, unit: 'in', now: NOW, ...options });
+}
+
+/**
+ * @param {Object} [fields] - Line fields to set.
+ * @returns {Object} - A worksheet line as the component keeps it.
+ */
+function createItem(fields = {}) {
+    return {
+        firingType: 'Bisque', loadType: null, shape: 'box', height: 10, width: 8, length: 6,
+        quantity: 2, dueDate: '2026-03-10', specialDirections: '', fields: {}, ...fields
+    };
+}
+
+describe('parseCsv', () => {
+    it('reads quoted delimiters, quotes and line breaks', () => {
+        assert.deepEqual(parseCsv('a,b,c\r\n"1,5","say ""hi""","two\nlines"\n'), [
+            ['a', 'b', 'c'],
+            ['1,5', 'say "hi"', 'two\nlines']
+        ]);
+    });
+
+    it('takes the delimiter from the header and skips the byte order mark', () => {
+        assert.deepEqual(parseCsv('﻿a;b\n1,5;2'), [['a', 'b'], ['1,5', '2']]);
+        assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+    });
+});
+
+describe('toCsv', () => {
+    it('quotes cells that need it and escapes formulas', () => {
+        assert.equal(toCsv([['a,b', 'say "hi"', ' pad', '=SUM(A1)', '-1', -1, null]]),
+            '"a,b","say ""hi"""," pad",\'=SUM(A1),\'-1,-1,\r\n');
+    });
+});
+
+describe('exportWorksheetRows and importWorksheetRows', () => {
+    it('round-trip a worksheet, including text that looks like a formula', () => {
+        const items = [
+            createItem({ specialDirections: '=cmd|"/c calc"!A1' }),
+            createItem({ firingType: 'Glaze', loadType: 'Full Kiln', shape: 'cylinder', height: 2, specialDirections: "'=already quoted" }),
+            createItem({ specialDirections: '+1 shelf, -2 stilts' })
+        ];
+        const rows = exportWorksheetRows(items, priceWorksheet(items, config, NOW), { columns, unit: 'in', config });
+        const { lines, errors } = importRows(parseCsv(toCsv(rows)));
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(lines.map(line => line.specialDirections), items.map(item => item.specialDirections));
+        assert.deepEqual(lines.map(({ firingType, loadType = null, shape, height, quantity, dueDate }) => (
+            { firingType, loadType, shape, height, quantity, dueDate }
+        )), items.map(({ firingType, loadType, shape, height, quantity, dueDate }) => (
+            { firingType, loadType, shape, height, quantity, dueDate }
+        )));
+    });
+});
+
+describe('importWorksheetRows', () => {
+    const header = ['Firing Type', 'Load', 'Height', 'Width', 'Length', 'Quantity', 'Due Date'];
+
+    it('converts lengths from the unit a header gives', () => {
+        const { lines } = importRows([['Firing Type', 'Height (cm)', 'Width', 'Length'], ['bisque', '25', '4', '4']]);
+        assert.equal(lines[0].firingType, 'Bisque');
+        assert.equal(lines[0].height, 10);
+    });
+
+    it('reads serial due dates and skips blank and summary rows', () => {
+        const { lines, errors } = importRows([
+            header,
+            ['Bisque', '', '10', '10', '10', '1', '46091'],
+            ['', '', '', '', '', '', ''],
+            ['Total Price:', '', '', '', '', '', '40']
+        ]);
+        assert.deepEqual(errors, []);
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].dueDate, '2026-03-10');
+    });
+
+    it('reports each bad row by row number and leaves it out', () => {
+        const firingCalendar = { Bisque: [{ date: '2026-03-12', capacity: 1000, remaining: 1000 }] };
+        const { lines, errors } = importRows([
+            header,
+            ['Raku', '', '10', '10', '10', '1', ''],
+            ['', '', '10', '10', '10', '1', ''],
+            ['Glaze', 'Half Kiln', '10', '10', '10', '1', ''],
+            ['Glaze', '', '99', 'wide', '10', '1.5', ''],
+            ['Glaze', '', '10', '10', '10', '1', 'March'],
+            ['Glaze', '', '10', '10', '10', '1', '2026-03-02'],
+            ['Bisque', '', '10', '10', '10', '1', '2026-03-10'],
+            ['Glaze', '', '10', '10', '10', '1', '2026-03-10']
+        ], { firingCalendar });
+
+        assert.equal(lines.length, 1);
+        assert.deepEqual(errors, [
+            { row: 2, column: 'Firing Type', message: 'Unknown firing type' },
+            { row: 3, column: 'Firing Type', message: 'Field required' },
+            { row: 4, column: 'Load', message: 'Unknown load type' },
+            { row: 5, column: 'Height (in)', message: 'Max 55' },
+            { row: 5, column: 'Width (in)', message: 'Must be a number' },
+            { row: 5, column: 'Quantity', message: 'Must be a whole number' },
+            { row: 6, column: 'Due Date', message: 'Must be a date' },
+            { row: 7, column: 'Due Date', message: 'Earliest due date is 2026-03-03' },
+            { row: 8, column: 'Due Date', message: 'No firing with room on that date' }
+        ]);
+    });
+
+    it('refuses a header without worksheet columns, and too many rows', () => {
+        assert.deepEqual(importRows([['Name', 'Notes'], ['a', 'b']]).errors, [
+            { row: 1, column: null, message: 'No worksheet columns found in the header row' }
+        ]);
+        const rows = [header, ...Array.from({ length: 11 }, () => ['Bisque', '', '10', '10', '10', '1', ''])];
+        assert.deepEqual(importRows(rows).errors, [
+            { row: null, column: null, message: 'Up to 10 rows can be imported at once' }
+        ]);
+    });
+});
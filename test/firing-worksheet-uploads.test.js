@@ -0,0 +1,120 @@
+/**
+ * Tests for photo uploads to the Media Manager, run with `npm test` against
+ * the recording mediaManager and the other Wix modules in mocks/.
+ */
+
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCollection, resetData } from './mocks/wix-data.js';
+import { resetCart } from './mocks/wix-ecom-backend.js';
+import { failNextUploads, resetMedia, uploads } from './mocks/wix-media-backend.js';
+import { addWorksheetToCart, getUploadToken, startWorksheetSession, uploadImage } from '../firing-worksheet-web.js';
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0xff, 0xd9]).toString('base64');
+const GIF = Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00\x00;', 'latin1').toString('base64');
+
+/**
+ * @returns {Promise<string>} - ID of a new session for a visitor who isn't logged in.
+ */
+async function startSession() {
+    return (await startWorksheetSession('visitor-1234')).sessionId;
+}
+
+/**
+ * @param {string} sessionId - Active worksheet session.
+ * @param {Array<Object>} photos - The line's photos.
+ * @returns {Promise<Object>} - Result of submitting a one-line Bisque worksheet.
+ */
+function submitLine(sessionId, photos) {
+    const dueDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const line = {
+        _id: 'abcdef1234', firingType: 'Bisque', shape: 'box', height: 10, width: 10, length: 10,
+        quantity: 1, dueDate, fields: {}, unit: 'in', price: 40, photos
+    };
+    return addWorksheetToCart([line], { worksheetId: 'ws-12345678', sessionId, total: 40 });
+}
+
+/**
+ * Keeps the upload log quiet and makes retry delays immediate.
+ * @param {Object} t - Test context.
+ */
+function muteRetries(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(globalThis, 'setTimeout', callback => setImmediate(callback));
+}
+
+beforeEach(() => {
+    resetData();
+    resetCart();
+    resetMedia();
+});
+
+describe('uploadImage', () => {
+    it('names and types a PNG from its contents', async () => {
+        const { token } = await getUploadToken(await startSession());
+        await uploadImage(PNG, token);
+
+        assert.equal(uploads.length, 1);
+        const [{ path, fileContent, fileName, options }] = uploads;
+        assert.equal(path, '/firing-worksheet-Uploads');
+        assert.deepEqual(fileContent, Buffer.from(PNG, 'base64'));
+        assert.match(fileName, /^firing-\d+\.png$/);
+        assert.deepEqual(options, { mediaOptions: { mimeType: 'image/png', mediaType: 'image' } });
+    });
+
+    it('names and types a JPEG from its contents', async () => {
+        const { token } = await getUploadToken(await startSession());
+        await uploadImage(JPEG, token);
+
+        assert.match(uploads[0].fileName, /^firing-\d+\.jpg$/);
+        assert.equal(uploads[0].options.mediaOptions.mimeType, 'image/jpeg');
+    });
+
+    it('rejects other image types without uploading them', async () => {
+        const { token } = await getUploadToken(await startSession());
+        await assert.rejects(uploadImage(GIF, token), { message: 'Unsupported image type' });
+        assert.equal(uploads.length, 0);
+    });
+
+    it('gives the upload back to the quota when the Media Manager fails', async () => {
+        const { token } = await getUploadToken(await startSession());
+        failNextUploads(1);
+        await assert.rejects(uploadImage(PNG, token), { message: 'Media Manager is unavailable' });
+
+        const counter = getCollection('FiringUploadQuotas')
+            .filter(({ quotaKey }) => quotaKey.startsWith('visitor:visitor-1234:'))
+            .sort((a, b) => b.revision - a.revision)[0];
+        assert.equal(counter.files, 0);
+        assert.equal(counter.bytes, 0);
+    });
+});
+
+describe('photo uploads while adding to the cart', () => {
+    it('retry a failed upload', async t => {
+        muteRetries(t);
+        failNextUploads(2);
+        const result = await submitLine(await startSession(), [{ data: PNG }]);
+
+        assert.equal(result.ok, true);
+        assert.equal(uploads.length, 3);
+        assert.equal(result.uploads[0].status, 'uploaded');
+        assert.deepEqual(result.errors, []);
+    });
+
+    it('report a photo that fails every attempt and add the line without it', async t => {
+        muteRetries(t);
+        failNextUploads(3);
+        const result = await submitLine(await startSession(), [{ data: PNG }]);
+
+        assert.equal(result.ok, true);
+        assert.equal(uploads.length, 3);
+        assert.deepEqual(result.uploads, [{ status: 'failed', mediaUrls: [] }]);
+        assert.deepEqual(result.errors, [{
+            type: 'image', line: 0, lineId: 'abcdef1234', field: 'photoUpload', message: '1 photo failed to upload'
+        }]);
+        assert.equal(result.cart.lineItems[0].media, '');
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for submitting worksheets to the cart, run with `npm test` against
+ * the Wix modules in mocks/.
+ */
+
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetData } from './mocks/wix-data.js';
+import { resetCart } from './mocks/wix-ecom-backend.js';
+import { addWorksheetToCart } from '../firing-worksheet-web.js';
+
+const LINE = {
+    _id: 'abcdef1234', firingType: 'Bisque', shape: 'box', height: 10, width: 10, length: 10,
+    quantity: 1, dueDate: '2026-03-10', fields: {}, unit: 'in', price: 40
+};
+
+beforeEach(() => {
+    resetData();
+    resetCart();
+});
+
+describe('addWorksheetToCart', () => {
+    it('asks for a session when the summary is missing', async t => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+        for (const summary of [undefined, null]) {
+            assert.deepEqual(await addWorksheetToCart([LINE], summary), {
+                ok: false,
+                errors: [{ type: 'limit', message: 'Your worksheet session has expired or is missing, please reload the page' }]
+            });
+        }
+    });
+
+    it('rejects a summary that is not an object', async t => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+        for (const summary of ['session', 42, ['session']]) {
+            assert.deepEqual(await addWorksheetToCart([LINE], summary), {
+                ok: false,
+                errors: [{ type: 'validation', message: 'The worksheet summary is not valid' }]
+            });
+        }
+    });
+});
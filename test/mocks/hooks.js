@@ -0,0 +1,11 @@
+/**
+ * Module resolution hook for the tests: `wix-data` resolves to ./wix-data.js
+ * and so on for every wix-* module. Everything else resolves as usual.
+ */
+
+const WIX_MODULE = /^wix-[a-z-]+$/;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (!WIX_MODULE.test(specifier)) return nextResolve(specifier, context);
+    return { url: new URL(`./${specifier}.js`, import.meta.url).href, shortCircuit: true };
+}
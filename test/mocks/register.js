@@ -0,0 +1,8 @@
+/**
+ * Loaded with `node --import` by `npm test`: resolves the wix-* modules the
+ * backend imports to the in-memory mocks in this folder.
+ */
+
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,7 @@
+/**
+ * wix-auth for the tests: there are no permissions to elevate.
+ */
+
+export function elevate(method) {
+    return method;
+}
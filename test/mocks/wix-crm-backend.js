@@ -0,0 +1,18 @@
+/**
+ * wix-crm-backend for the tests: triggered emails are recorded in `emails`.
+ */
+
+export const emails = [];
+
+/**
+ * Forgets the emails sent so far.
+ */
+export function resetEmails() {
+    emails.length = 0;
+}
+
+export const triggeredEmails = {
+    async emailContact(emailId, contactId, options) {
+        emails.push({ emailId, contactId, options });
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * In-memory wix-data for the tests.
+ * Collections are arrays of plain records, created on first use. Like the real
+ * thing, insert refuses an _id that already exists, and every call yields to
+ * the event loop first, so calls made together interleave as they would
+ * against the live database.
+ */
+
+const collections = new Map();
+
+/**
+ * Empties every collection.
+ */
+export function resetData() {
+    collections.clear();
+}
+
+/**
+ * @param {string} name - Collection name.
+ * @returns {Array<Object>} - The collection's records, for tests to inspect or seed.
+ */
+export function getCollection(name) {
+    if (!collections.has(name)) collections.set(name, []);
+    return collections.get(name);
+}
+
+/**
+ * @returns {Promise<void>} - Resolves once other pending calls have had a turn.
+ */
+function tick() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * @param {Object|null|undefined} record - Stored record.
+ * @returns {Object|null} - A copy, so callers can't change the stored record.
+ */
+function copy(record) {
+    return record ? { ...record } : null;
+}
+
+/**
+ * @param {string} field - Field to sort by.
+ * @param {number} direction - 1 for ascending, -1 for descending.
+ * @returns {Function} - Sort comparator.
+ */
+function compare(field, direction) {
+    return (a, b) => (a[field] < b[field] ? -direction : a[field] > b[field] ? direction : 0);
+}
+
+/**
+ * Starts a query, supporting the filters and options the backend uses.
+ * @param {string} name - Collection name.
+ * @returns {Object} - Chainable query builder.
+ */
+function query(name) {
+    const filters = [];
+    let order = null;
+    let limit = 50;
+    let skip = 0;
+
+    const builder = {
+        eq: (field, value) => builder.where(record => record[field] === value),
+        ne: (field, value) => builder.where(record => record[field] !== value),
+        ge: (field, value) => builder.where(record => record[field] >= value),
+        gt: (field, value) => builder.where(record => record[field] > value),
+        le: (field, value) => builder.where(record => record[field] <= value),
+        lt: (field, value) => builder.where(record => record[field] < value),
+        hasSome: (field, values) => builder.where(record => values.includes(record[field])),
+        ascending(field) {
+            order = compare(field, 1);
+            return builder;
+        },
+        descending(field) {
+            order = compare(field, -1);
+            return builder;
+        },
+        limit(count) {
+            limit = count;
+            return builder;
+        },
+        skip(count) {
+            skip = count;
+            return builder;
+        },
+        where(filter) {
+            filters.push(filter);
+            return builder;
+        },
+        async find() {
+            await tick();
+            const items = getCollection(name).filter(record => filters.every(filter => filter(record)));
+            if (order) items.sort(order);
+            const end = skip + limit;
+            return {
+                items: items.slice(skip, end).map(copy),
+                totalCount: items.length,
+                hasNext: () => end < items.length,
+                next: () => builder.skip(end).find()
+            };
+        },
+        async count() {
+            return (await builder.limit(Infinity).find()).totalCount;
+        }
+    };
+    return builder;
+}
+
+/**
+ * Adds a record, refusing an _id that is already taken.
+ * @param {string} name - Collection name.
+ * @param {Object} item - Record to add; gets a random _id if it has none.
+ * @returns {Promise<Object>} - The stored record.
+ */
+async function insert(name, item) {
+    await tick();
+    const collection = getCollection(name);
+    const record = { _id: crypto.randomUUID(), ...item, _createdDate: new Date() };
+    if (collection.some(({ _id }) => _id === record._id)) {
+        throw new Error(`WDE0074: An item with _id [${record._id}] already exists in the [${name}] collection.`);
+    }
+    collection.push(record);
+    return copy(record);
+}
+
+/**
+ * Replaces an existing record.
+ * @param {string} name - Collection name.
+ * @param {Object} item - New record, with the _id of the one to replace.
+ * @returns {Promise<Object>} - The stored record.
+ */
+async function update(name, item) {
+    await tick();
+    const collection = getCollection(name);
+    const index = collection.findIndex(({ _id }) => _id === item._id);
+    if (index < 0) throw new Error(`WDE0073: Item [${item._id}] does not exist in the [${name}] collection.`);
+    collection[index] = { ...item, _createdDate: collection[index]._createdDate, _updatedDate: new Date() };
+    return copy(collection[index]);
+}
+
+export default {
+    query,
+    insert,
+    update,
+
+    async get(name, id) {
+        await tick();
+        return copy(getCollection(name).find(({ _id }) => _id === id));
+    },
+
+    async save(name, item) {
+        const exists = getCollection(name).some(({ _id }) => _id === item._id);
+        return exists ? update(name, item) : insert(name, item);
+    },
+
+    async remove(name, id) {
+        await tick();
+        const collection = getCollection(name);
+        const index = collection.findIndex(({ _id }) => _id === id);
+        return index < 0 ? null : collection.splice(index, 1)[0];
+    },
+
+    async bulkInsert(name, items) {
+        const inserted = [];
+        for (const item of items) inserted.push(await insert(name, item));
+        return { inserted: inserted.length, insertedItemIds: inserted.map(({ _id }) => _id) };
+    },
+
+    async bulkRemove(name, ids) {
+        await tick();
+        const collection = getCollection(name);
+        const before = collection.length;
+        for (let index = collection.length - 1; index >= 0; index--) {
+            if (ids.includes(collection[index]._id)) collection.splice(index, 1);
+        }
+        return { removed: before - collection.length };
+    }
+};
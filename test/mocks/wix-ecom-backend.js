@@ -0,0 +1,63 @@
+/**
+ * wix-ecom-backend for the tests: the visitor's current cart and their
+ * checkouts, kept in memory.
+ */
+
+let currentCartRecord = null;
+let lineSequence = 0;
+const checkouts = new Map();
+
+/**
+ * Empties the cart and forgets every checkout.
+ */
+export function resetCart() {
+    currentCartRecord = null;
+    checkouts.clear();
+}
+
+/**
+ * Checks the current cart out, so the next submission starts a new cart.
+ * @returns {string} - ID of the checkout, as an order created from it carries in checkoutId.
+ */
+export function checkOut() {
+    const checkoutId = crypto.randomUUID();
+    checkouts.set(checkoutId, { _id: checkoutId, cartId: currentCartRecord._id });
+    currentCartRecord = null;
+    return checkoutId;
+}
+
+/**
+ * @param {Array<Object>} customLineItems - Lines to add.
+ * @returns {Array<Object>} - The lines as cart line items, with IDs.
+ */
+function toLineItems(customLineItems) {
+    return customLineItems.map(item => ({ ...item, _id: `line-${++lineSequence}` }));
+}
+
+export const cart = {
+    async createCart({ customLineItems }) {
+        currentCartRecord = { _id: crypto.randomUUID(), lineItems: toLineItems(customLineItems) };
+        return currentCartRecord;
+    }
+};
+
+export const checkout = {
+    async getCheckout(checkoutId) {
+        if (!checkouts.has(checkoutId)) throw new Error(`Checkout ${checkoutId} not found`);
+        return checkouts.get(checkoutId);
+    }
+};
+
+export const currentCart = {
+    async getCurrentCart() {
+        return currentCartRecord;
+    },
+    async addToCurrentCart({ customLineItems }) {
+        currentCartRecord.lineItems.push(...toLineItems(customLineItems));
+        return currentCartRecord;
+    },
+    async removeLineItemsFromCurrentCart(lineItemIds) {
+        currentCartRecord.lineItems = currentCartRecord.lineItems.filter(({ _id }) => !lineItemIds.includes(_id));
+        return currentCartRecord;
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * wix-media-backend for the tests: uploads are recorded in `uploads`, and
+ * failNextUploads makes the next calls fail as the Media Manager sometimes does.
+ */
+
+export const uploads = [];
+let failures = 0;
+
+/**
+ * Forgets the uploads made so far and stops failing.
+ */
+export function resetMedia() {
+    uploads.length = 0;
+    failures = 0;
+}
+
+/**
+ * @param {number} count - Number of upload calls to fail from now on.
+ */
+export function failNextUploads(count) {
+    failures = count;
+}
+
+export const mediaManager = {
+    async upload(path, fileContent, fileName, options) {
+        uploads.push({ path, fileContent, fileName, options });
+        if (failures > 0) {
+            failures--;
+            throw new Error('Media Manager is unavailable');
+        }
+        return { fileName, fileUrl: `wix:image://v1/${fileName}/${fileName}#originWidth=1&originHeight=1` };
+    }
+};
@@ -0,0 +1,18 @@
+/**
+ * wix-members-backend for the tests: setMember chooses who is logged in.
+ */
+
+let member = null;
+
+/**
+ * @param {Object|null} value - Member record, with _id, or null for a visitor who isn't logged in.
+ */
+export function setMember(value) {
+    member = value;
+}
+
+export const currentMember = {
+    async getMember() {
+        return member;
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * wix-web-module for the tests: a web method is just its function.
+ */
+
+export const Permissions = {
+    Anyone: 'anyone',
+    SiteMember: 'site-member',
+    Admin: 'admin'
+};
+
+export function webMethod(permission, method) {
+    return method;
+}